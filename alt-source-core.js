@@ -0,0 +1,579 @@
+// Environment-neutral core of the source kit: the AltStore models, format
+// adapters, cross-source merging and version ordering. Nothing here touches the
+// DOM or storage, so it runs the same in pages, workers and Node.
+// Network access goes through an injectable fetcher (see loadSource).
+
+import { semverCompare, parseDateString, fetchJSON } from './utils.js';
+
+// Constants
+export const REPO_BASE = 'https://raw.githubusercontent.com/ripestore/repos/main/'; // Short source names resolve here
+
+// Format adapters
+//
+// Sources in the wild come in several layouts. Each adapter turns one of them
+// into the AltStore v2 shape (apps with a `versions` array) that the models
+// below expect, and the detected format is recorded on the repository.
+
+/**
+ * Field aliases used by third-party IPA repos, in order of preference.
+ */
+const APP_ALIASES = {
+    name: ['name', 'title', 'appName'],
+    bundleIdentifier: ['bundleIdentifier', 'bundleID', 'bundleId', 'bundle_id', 'bundle'],
+    developerName: ['developerName', 'developer', 'dev', 'author'],
+    version: ['version', 'ver', 'appVersion'],
+    versionDate: ['versionDate', 'date', 'updated', 'updatedAt'],
+    versionDescription: ['versionDescription', 'changelog', 'whatsNew'],
+    downloadURL: ['downloadURL', 'downloadUrl', 'down', 'ipa', 'url', 'link'],
+    iconURL: ['iconURL', 'iconUrl', 'icon', 'image'],
+    localizedDescription: ['localizedDescription', 'description', 'desc'],
+    size: ['size', 'fileSize'],
+    category: ['category', 'genre']
+};
+
+/**
+ * Returns the first alias of a field that is present on an object.
+ * @param {object} obj - The raw object.
+ * @param {string} field - The canonical field name.
+ * @returns {*} The value, or undefined.
+ */
+function pick(obj, field) {
+    for (const k of APP_ALIASES[field]) {
+        if (obj[k] !== undefined && obj[k] !== null && obj[k] !== '') return obj[k];
+    }
+    return undefined;
+}
+
+/**
+ * Maps an app object with third-party field names onto AltStore field names.
+ * @param {object} raw - The raw app.
+ * @param {object} [extra] - Fields to apply when missing, e.g. a category.
+ * @returns {object} The app in AltStore v1 shape.
+ */
+function aliasApp(raw, extra = {}) {
+    const app = { ...raw };
+    for (const field of Object.keys(APP_ALIASES)) {
+        if (app[field] === undefined || app[field] === '') {
+            const v = pick(raw, field);
+            if (v !== undefined) app[field] = v;
+        }
+    }
+    if (!app.screenshotURLs && Array.isArray(raw.screenshots) && raw.screenshots.every(x => typeof x === 'string')) {
+        app.screenshotURLs = raw.screenshots;
+    }
+    for (const [k, v] of Object.entries(extra)) {
+        if (!app[k]) app[k] = v;
+    }
+    return app;
+}
+
+/**
+ * Checks whether an object looks like an app entry.
+ * @param {*} v - The value.
+ * @returns {boolean} True if it has a name and something downloadable.
+ */
+function looksLikeApp(v) {
+    return !!v && typeof v === 'object' && !Array.isArray(v)
+        && pick(v, 'name') !== undefined
+        && (pick(v, 'downloadURL') !== undefined || Array.isArray(v.versions));
+}
+
+/**
+ * Detects the layout of a raw source document.
+ * @param {*} data - The parsed source JSON.
+ * @returns {string} One of 'altstore-v2', 'altstore-v1', 'scarlet', 'flat-array' or 'unknown'.
+ */
+export function detectFormat(data) {
+    if (Array.isArray(data)) return 'flat-array';
+    if (!data || typeof data !== 'object') return 'unknown';
+    if (Array.isArray(data.apps)) {
+        const legacy = data.apps.some(a => a && !Array.isArray(a.versions) && pick(a, 'downloadURL') !== undefined);
+        return legacy ? 'altstore-v1' : 'altstore-v2';
+    }
+    if (data.META && typeof data.META === 'object') return 'scarlet';
+    if (Object.values(data).some(v => Array.isArray(v) && v.some(looksLikeApp))) return 'scarlet';
+    return 'unknown';
+}
+
+/**
+ * Converts any supported source layout into AltStore v2 shape.
+ * @param {*} data - The parsed source JSON.
+ * @returns {{format: string, data: object}} The detected format and the normalized data.
+ */
+export function adaptSource(data) {
+    const format = detectFormat(data);
+    switch (format) {
+        case 'flat-array':
+            return { format, data: { apps: data.filter(looksLikeApp).map(a => aliasApp(a)) } };
+        case 'scarlet': {
+            // { META: { repoName, repoIcon, ... }, "<Category>": [apps], ... }
+            const meta = data.META || {};
+            const apps = [];
+            for (const [key, list] of Object.entries(data)) {
+                if (key === 'META' || !Array.isArray(list)) continue;
+                list.filter(looksLikeApp).forEach(a => apps.push(aliasApp(a, { category: key })));
+            }
+            return {
+                format,
+                data: {
+                    name: meta.repoName || meta.name || '',
+                    iconURL: meta.repoIcon || meta.icon || '',
+                    description: meta.repoDescription || meta.description || '',
+                    website: meta.repoWebsite || meta.website || '',
+                    apps
+                }
+            };
+        }
+        case 'altstore-v1':
+            return { format, data: { ...data, apps: data.apps.map(a => (a && typeof a === 'object' ? aliasApp(a) : a)) } };
+        default:
+            return { format, data };
+    }
+}
+
+/**
+ * Builds a version entry from the legacy top-level fields of an AltStore v1 app.
+ * @param {object} data - The raw app.
+ * @returns {object|null} The raw version, or null if the app has nothing to download.
+ */
+function legacyVersion(data) {
+    if (!data.downloadURL) return null;
+    return {
+        version: data.version || '',
+        date: data.versionDate || '',
+        localizedDescription: data.versionDescription || '',
+        downloadURL: data.downloadURL,
+        size: data.size || 0,
+        minOSVersion: data.minOSVersion || '',
+        maxOSVersion: data.maxOSVersion || ''
+    };
+}
+
+/**
+ * Drops empty optional fields so serialized sources stay close to hand-written ones.
+ * @param {object} obj - The object to compact.
+ * @param {string[]} [keep] - Fields to keep even when empty.
+ * @returns {object} A copy without empty strings, false flags, nulls or empty arrays/objects.
+ */
+function compact(obj, keep = []) {
+    const out = {};
+    for (const [k, v] of Object.entries(obj)) {
+        const empty = v === undefined || v === null || v === '' || v === false
+            || (Array.isArray(v) && !v.length)
+            || (typeof v === 'object' && !Array.isArray(v) && !Object.keys(v).length);
+        if (!empty || keep.includes(k)) out[k] = v;
+    }
+    return out;
+}
+
+class ASRepository {
+    constructor(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Invalid repository data');
+        }
+        const adapted = adaptSource(data);
+        this.format = adapted.format;
+        data = adapted.data;
+        this.identifier = data.identifier || '';
+        this.name = data.name || '';
+        this.subtitle = data.subtitle || '';
+        this.description = data.description || '';
+        this.website = data.website || '';
+        this.iconURL = data.iconURL || '';
+        this.headerURL = data.headerURL || '';
+        this.tintColor = data.tintColor || '';
+        this.patreonURL = data.patreonURL || '';
+        this.userInfo = data.userInfo || {};
+        this.apps = (data.apps || []).map(app => new App(app));
+        this.featuredApps = data.featuredApps || [];
+        this.news = (data.news || []).map(news => new News(news));
+    }
+
+    /**
+     * Serializes the repository as an AltStore source.
+     * @returns {object} The source JSON.
+     */
+    toJSON() {
+        return compact({
+            name: this.name,
+            identifier: this.identifier,
+            subtitle: this.subtitle,
+            description: this.description,
+            iconURL: this.iconURL,
+            headerURL: this.headerURL,
+            website: this.website,
+            patreonURL: this.patreonURL,
+            tintColor: this.tintColor,
+            featuredApps: this.featuredApps,
+            apps: this.apps.map(app => app.toJSON()),
+            news: this.news.map(news => news.toJSON()),
+            userInfo: this.userInfo
+        }, ['name', 'identifier', 'apps']);
+    }
+}
+
+class App {
+    constructor(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Invalid app data');
+        }
+        this.bundleIdentifier = data.bundleIdentifier || '';
+        this.name = data.name || '';
+        this.subtitle = data.subtitle || '';
+        this.description = data.description || '';
+        this.developerName = data.developerName || '';
+        this.versions = (data.versions || []).map(version => new Version(version));
+        if (!this.versions.length && legacyVersion(data)) {
+            this.versions.push(new Version(legacyVersion(data)));
+        }
+        this.version = data.version || '';
+        this.versionDate = data.versionDate || '';
+        this.versionDescription = data.versionDescription || '';
+        this.downloadURL = data.downloadURL || '';
+        this.localizedDescription = data.localizedDescription || '';
+        this.iconURL = data.iconURL || '';
+        this.tintColor = data.tintColor || '';
+        this.size = data.size || 0;
+        this.category = data.category || '';
+        this.beta = data.beta || false;
+        this.permissions = (data.permissions || []).map(permission => new Permission(permission));
+        this.appPermissions = data.appPermissions ? new AppPermissions(data.appPermissions) : null;
+        this.screenshots = normalizeScreenshots(data.screenshots, data.screenshotURLs);
+        this.screenshotURLs = data.screenshotURLs || [];
+        this.deviceFamily = normalizeFamilies(data.deviceFamily || data.UIDeviceFamily || data.supportedDevices);
+    }
+
+    /**
+     * Serializes the app in the AltStore v2 layout. Legacy top-level version
+     * fields are folded into `versions`, which the constructor already did.
+     * @returns {object} The app JSON.
+     */
+    toJSON() {
+        return compact({
+            name: this.name,
+            bundleIdentifier: this.bundleIdentifier,
+            developerName: this.developerName,
+            subtitle: this.subtitle,
+            localizedDescription: this.localizedDescription || this.description,
+            iconURL: this.iconURL,
+            tintColor: this.tintColor,
+            category: this.category,
+            beta: this.beta,
+            screenshots: this.screenshots.ipad.length
+                ? { iphone: this.screenshots.iphone.map(x => x.toJSON()), ipad: this.screenshots.ipad.map(x => x.toJSON()) }
+                : this.screenshots.iphone.map(x => x.toJSON()),
+            versions: this.versions.map(version => version.toJSON()),
+            appPermissions: this.appPermissions ? this.appPermissions.toJSON() : null,
+            permissions: this.permissions.map(permission => permission.toJSON())
+        }, ['name', 'bundleIdentifier', 'developerName', 'versions']);
+    }
+}
+
+class Version {
+    constructor(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Invalid version data');
+        }
+        this.version = data.version || '';
+        this.buildVersion = data.buildVersion || '';
+        this.date = data.date || '';
+        this.localizedDescription = data.localizedDescription || '';
+        this.downloadURL = data.downloadURL || '';
+        this.size = data.size || 0;
+        this.minOSVersion = data.minOSVersion || '';
+        this.maxOSVersion = data.maxOSVersion || '';
+        // Some sources declare permissions per version; the app-level ones apply otherwise
+        this.appPermissions = data.appPermissions ? new AppPermissions(data.appPermissions) : null;
+    }
+
+    /**
+     * Serializes the version.
+     * @returns {object} The version JSON.
+     */
+    toJSON() {
+        return compact({
+            version: this.version,
+            buildVersion: this.buildVersion,
+            date: this.date,
+            localizedDescription: this.localizedDescription,
+            downloadURL: this.downloadURL,
+            size: Number(this.size) || 0,
+            minOSVersion: this.minOSVersion,
+            maxOSVersion: this.maxOSVersion,
+            appPermissions: this.appPermissions ? this.appPermissions.toJSON() : null
+        }, ['version', 'date', 'downloadURL', 'size']);
+    }
+}
+
+class Screenshot {
+    constructor(data, device = 'iphone') {
+        if (typeof data === 'string') data = { imageURL: data };
+        if (!data || typeof data !== 'object') {
+            throw new Error('Invalid screenshot data');
+        }
+        this.imageURL = data.imageURL || data.url || '';
+        this.width = Number(data.width) || 0;
+        this.height = Number(data.height) || 0;
+        this.device = device;
+    }
+
+    /**
+     * Serializes the screenshot: a bare URL unless its size is known.
+     * @returns {string|object} The screenshot JSON.
+     */
+    toJSON() {
+        return this.width && this.height
+            ? { imageURL: this.imageURL, width: this.width, height: this.height }
+            : this.imageURL;
+    }
+}
+
+/**
+ * Normalizes every screenshot layout into per-device lists.
+ * Accepts an array of URLs or `{ imageURL, width, height }` objects (iPhone),
+ * an `{ iphone, ipad }` object of such arrays, or the legacy `screenshotURLs`.
+ * @param {*} screenshots - The raw `screenshots` value.
+ * @param {string[]} [legacyURLs] - The raw `screenshotURLs`, used when `screenshots` is empty.
+ * @returns {{iphone: Screenshot[], ipad: Screenshot[]}} The screenshots by device.
+ */
+export function normalizeScreenshots(screenshots, legacyURLs = []) {
+    const list = (raw, device) => (Array.isArray(raw) ? raw : [])
+        .filter(x => typeof x === 'string' || (x && typeof x === 'object'))
+        .map(x => new Screenshot(x, device))
+        .filter(x => x.imageURL);
+    const out = Array.isArray(screenshots)
+        ? { iphone: list(screenshots, 'iphone'), ipad: [] }
+        : { iphone: list(screenshots?.iphone, 'iphone'), ipad: list(screenshots?.ipad, 'ipad') };
+    if (!out.iphone.length && !out.ipad.length) out.iphone = list(legacyURLs, 'iphone');
+    return out;
+}
+
+class News {
+    constructor(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Invalid news data');
+        }
+        this.identifier = data.identifier || '';
+        this.title = data.title || '';
+        this.caption = data.caption || '';
+        this.tintColor = data.tintColor || '';
+        this.imageURL = data.imageURL || '';
+        this.url = data.url || '';
+        this.appID = data.appID || '';
+        this.date = data.date || '';
+        this.notify = data.notify || false;
+    }
+
+    /**
+     * Serializes the news item.
+     * @returns {object} The news JSON.
+     */
+    toJSON() {
+        return compact({
+            title: this.title,
+            identifier: this.identifier,
+            caption: this.caption,
+            date: this.date,
+            tintColor: this.tintColor,
+            imageURL: this.imageURL,
+            notify: this.notify,
+            url: this.url,
+            appID: this.appID
+        }, ['title', 'identifier', 'date', 'notify']);
+    }
+}
+
+class Permission {
+    constructor(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Invalid permission data');
+        }
+        this.type = data.type || '';
+        this.usageDescription = data.usageDescription || '';
+    }
+
+    /**
+     * Serializes the permission.
+     * @returns {object} The permission JSON.
+     */
+    toJSON() {
+        return { type: this.type, usageDescription: this.usageDescription };
+    }
+}
+
+class AppPermissions {
+    constructor(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Invalid app permissions data');
+        }
+        this.entitlements = data.entitlements || {};
+        this.privacy = data.privacy || {};
+    }
+
+    /**
+     * Serializes the entitlements and privacy descriptions.
+     * @returns {object} The appPermissions JSON.
+     */
+    toJSON() {
+        return compact({ entitlements: this.entitlements, privacy: this.privacy });
+    }
+}
+
+export { ASRepository, App, Version, Screenshot, News, Permission, AppPermissions };
+
+/**
+ * Normalizes an app's supported device families.
+ * Accepts names ("iphone", "ipad") or UIDeviceFamily numbers (1, 2).
+ * @param {*} v - The raw value.
+ * @returns {string[]} Lower-case family names.
+ */
+export function normalizeFamilies(v) {
+    const list = Array.isArray(v) ? v : (v ? [v] : []);
+    return Array.from(new Set(list.map(x => {
+        if (x === 1 || x === '1') return 'iphone';
+        if (x === 2 || x === '2') return 'ipad';
+        return String(x).toLowerCase().replace(/[^a-z]/g, '');
+    }).filter(x => x === 'iphone' || x === 'ipad')));
+}
+
+/**
+ * Builds the source tag attached to each merged version.
+ * @param {object} a - The app the version came from, tagged with `source` / `sourceName`.
+ * @param {object} v - The version.
+ * @returns {{url: string, name: string, downloadURL: string}} The tag.
+ */
+function sourceTag(a, v) {
+    return { url: a.source || '', name: a.sourceName || a.source || '', downloadURL: v.downloadURL || '' };
+}
+
+/**
+ * Merges apps from different sources by their bundle ID.
+ *
+ * Every merged version carries `sources`, the list of sources serving it.
+ * The same build offered by several sources (same download URL, or same
+ * version, build number and size) is collapsed into one entry.
+ *
+ * @param {Array} apps - An array of app objects, tagged with `source` and `sourceName`.
+ * @returns {Array} An array of merged app objects.
+ */
+export function mergeByBundle(apps) {
+    const map = new Map();
+    for (const a of apps) {
+        const b = String(a.bundleIdentifier || '').trim();
+        if (!b) { // Keep separate when no bundle ID
+            const key = Symbol('nobundle'); // Ensure uniqueness
+            map.set(key, { ...a, versions: (a.versions || []).map(v => ({ ...v, sources: [sourceTag(a, v)] })) });
+            continue;
+        }
+        if (!map.has(b)) {
+            map.set(b, { ...a, versions: [], _byURL: new Map(), _byBuild: new Map() });
+        }
+        const acc = map.get(b);
+        // Merge properties
+        acc.name = acc.name || a.name;
+        acc.iconURL = acc.iconURL || a.iconURL;
+        acc.developerName = acc.developerName || a.developerName;
+        acc.localizedDescription = acc.localizedDescription || a.localizedDescription;
+        // Merge versions, collapsing builds served by several sources
+        for (const v of (a.versions || [])) {
+            const buildKey = Number(v.size) > 0 ? `${v.version}|${v.buildVersion}|${v.size}` : '';
+            const dup = (v.downloadURL && acc._byURL.get(v.downloadURL)) || (buildKey && acc._byBuild.get(buildKey));
+            const tag = sourceTag(a, v);
+            if (dup) {
+                if (!dup.sources.some(s => s.url === tag.url)) dup.sources.push(tag);
+                continue;
+            }
+            const entry = { ...v, sources: [tag] };
+            acc.versions.push(entry);
+            if (v.downloadURL) acc._byURL.set(v.downloadURL, entry);
+            if (buildKey) acc._byBuild.set(buildKey, entry);
+        }
+    }
+
+    // Sort versions by date or version number
+    for (const v of map.values()) {
+        delete v._byURL;
+        delete v._byBuild;
+        if (Array.isArray(v.versions)) sortVersions(v.versions);
+    }
+    return Array.from(map.values());
+}
+
+/**
+ * Lists the distinct sources an app's versions come from.
+ * @param {object} app - A merged app.
+ * @returns {{url: string, name: string}[]} The sources, in first-seen order.
+ */
+export function appSources(app) {
+    const seen = new Map();
+    for (const v of app.versions || []) {
+        for (const s of v.sources || []) {
+            if (!seen.has(s.url)) seen.set(s.url, { url: s.url, name: s.name });
+        }
+    }
+    return Array.from(seen.values());
+}
+
+/**
+ * Sorts versions newest first: dated versions by date, then undated ones by version number.
+ * @param {object[]} versions - The versions; sorted in place.
+ * @returns {object[]} The same array.
+ */
+export function sortVersions(versions) {
+    return versions.sort((x, y) => {
+        const dx = parseDateString(x.date);
+        const dy = parseDateString(y.date);
+        if (dx && dy && dy - dx) return dy - dx;
+        if (dx && !dy) return -1;
+        if (dy && !dx) return 1;
+        return semverCompare(y.version, x.version);
+    });
+}
+
+/**
+ * Resolves a source entry to its repository URL.
+ * @param {string} src - A full URL or a short name from the ripestore/repos collection.
+ * @param {string} [base] - Where short names live.
+ * @returns {string} The repository URL.
+ */
+export function resolveRepoURL(src, base = REPO_BASE) {
+    return src.includes('://') ? src : `${base}${src}.json`;
+}
+
+/**
+ * Fetches JSON through the resilient fetch layer; the default fetcher for loadSource.
+ * @param {string} url - The URL.
+ * @returns {Promise<*>} The parsed JSON.
+ */
+function defaultFetcher(url) {
+    return fetchJSON(url);
+}
+
+/**
+ * Loads and parses one source, without any caching.
+ * @param {string} src - The source URL or short name.
+ * @param {object} [options]
+ * @param {Function} [options.fetcher] - `async (url) => json`; defaults to fetchJSON.
+ * @param {string} [options.base] - Where short names live.
+ * @returns {Promise<{url: string, raw: *, data: ASRepository}>} The raw JSON and its parsed form.
+ */
+export async function loadSource(src, { fetcher = defaultFetcher, base = REPO_BASE } = {}) {
+    const url = resolveRepoURL(src, base);
+    const raw = await fetcher(url);
+    return { url, raw, data: new ASRepository(raw) };
+}
+
+/**
+ * Builds a single AltStore source from merged apps.
+ * Source tags and other catalog-only fields are dropped by the models.
+ * @param {object} options
+ * @param {object[]} options.apps - Apps, typically from mergeByBundle.
+ * @param {string} options.name - The source name.
+ * @param {string} options.identifier - The source identifier.
+ * @param {object[]} [options.news] - News items to include.
+ * @param {object} [options.meta] - Other source fields (subtitle, iconURL, tintColor...).
+ * @returns {object} The source JSON.
+ */
+export function buildCombinedSource({ apps, name, identifier, news = [], meta = {} }) {
+    return new ASRepository({ ...meta, name, identifier, apps, news }).toJSON();
+}
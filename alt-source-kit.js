@@ -1,126 +1,142 @@
-// This file will contain the logic for fetching and parsing AltStore-compatible repositories.
-// The code will be based on the Swift implementation from AltSourceKit.
+// Fetching and caching of AltStore-compatible repositories in the browser.
+// The models and parsing live in alt-source-core.js and are re-exported here,
+// so pages keep importing from this module.
 
-import { fetchJSON } from './utils.js';
+import { fetchJSONValidated } from './utils.js';
+import { readCachedRepo, writeCachedRepo, getCacheMaxAge } from './repo-cache.js';
+import { recordSnapshot } from './changelog.js';
+import { ASRepository, resolveRepoURL } from './alt-source-core.js';
 
-class ASRepository {
-    constructor(data) {
-        if (!data || typeof data !== 'object') {
-            throw new Error('Invalid repository data');
-        }
-        this.identifier = data.identifier || '';
-        this.name = data.name || '';
-        this.subtitle = data.subtitle || '';
-        this.description = data.description || '';
-        this.website = data.website || '';
-        this.iconURL = data.iconURL || '';
-        this.headerURL = data.headerURL || '';
-        this.tintColor = data.tintColor || '';
-        this.patreonURL = data.patreonURL || '';
-        this.userInfo = data.userInfo || {};
-        this.apps = (data.apps || []).map(app => new App(app));
-        this.featuredApps = data.featuredApps || [];
-        this.news = (data.news || []).map(news => new News(news));
-    }
-}
+export {
+    ASRepository, App, Version, Screenshot, News, Permission, AppPermissions,
+    detectFormat, adaptSource, normalizeScreenshots, resolveRepoURL, sortVersions
+} from './alt-source-core.js';
 
-class App {
-    constructor(data) {
-        if (!data || typeof data !== 'object') {
-            throw new Error('Invalid app data');
-        }
-        this.bundleIdentifier = data.bundleIdentifier || '';
-        this.name = data.name || '';
-        this.subtitle = data.subtitle || '';
-        this.description = data.description || '';
-        this.developerName = data.developerName || '';
-        this.versions = (data.versions || []).map(version => new Version(version));
-        this.version = data.version || '';
-        this.versionDate = data.versionDate || '';
-        this.versionDescription = data.versionDescription || '';
-        this.downloadURL = data.downloadURL || '';
-        this.localizedDescription = data.localizedDescription || '';
-        this.iconURL = data.iconURL || '';
-        this.tintColor = data.tintColor || '';
-        this.size = data.size || 0;
-        this.category = data.category || '';
-        this.beta = data.beta || false;
-        this.permissions = (data.permissions || []).map(permission => new Permission(permission));
-        this.appPermissions = data.appPermissions ? new AppPermissions(data.appPermissions) : null;
-        this.screenshots = data.screenshots || [];
-        this.screenshotURLs = data.screenshotURLs || [];
-    }
-}
+const cache = new Map();
 
-class Version {
-    constructor(data) {
-        if (!data || typeof data !== 'object') {
-            throw new Error('Invalid version data');
-        }
-        this.version = data.version || '';
-        this.buildVersion = data.buildVersion || '';
-        this.date = data.date || '';
-        this.localizedDescription = data.localizedDescription || '';
-        this.downloadURL = data.downloadURL || '';
-        this.size = data.size || 0;
-        this.minOSVersion = data.minOSVersion || '';
+/**
+ * Fetches a repository, serving it from the persistent cache first.
+ *
+ * Cached data is returned immediately; when it is older than `maxAge` it is
+ * revalidated in the background and `onRevalidate` receives the outcome. If the
+ * network fails and a cached copy exists, that copy is returned with `offline: true`;
+ * later calls keep refreshing it until a fetch succeeds and clears the flag.
+ * Every successful network fetch also records a changelog snapshot.
+ *
+ * @param {string} src - The source URL or short name.
+ * @param {object} [options]
+ * @param {number} [options.maxAge] - Max cache age in ms; defaults to the user setting.
+ * @param {Function} [options.onRevalidate] - Called with the fresh result ({ changed, offline, ... }).
+ * @param {Function} [options.onProgress] - Receives network progress (queued, loading, retrying); see network.js.
+ * @param {AbortSignal} [options.signal] - Cancels the network fetch, including a background refresh.
+ * @returns {Promise<{data: ASRepository, url: string, fetchedAt: number, responseTime: number, fromCache: boolean, offline: boolean}>}
+ */
+export async function fetchRepo(src, { maxAge = getCacheMaxAge(), onRevalidate, onProgress, signal } = {}) {
+    const memo = cache.get(src);
+    if (memo && !memo.offline) {
+        return memo;
     }
-}
 
-class News {
-    constructor(data) {
-        if (!data || typeof data !== 'object') {
-            throw new Error('Invalid news data');
-        }
-        this.identifier = data.identifier || '';
-        this.title = data.title || '';
-        this.caption = data.caption || '';
-        this.tintColor = data.tintColor || '';
-        this.imageURL = data.imageURL || '';
-        this.url = data.url || '';
-        this.appID = data.appID || '';
-        this.date = data.date || '';
-        this.notify = data.notify || false;
-    }
-}
+    const url = resolveRepoURL(src);
+    const stored = await readCachedRepo(url);
 
-class Permission {
-    constructor(data) {
-        if (!data || typeof data !== 'object') {
-            throw new Error('Invalid permission data');
+    if (stored) {
+        try {
+            const result = memo || toResult(stored, url, { fromCache: true });
+            cache.set(src, result);
+            if (memo || Date.now() - stored.fetchedAt >= maxAge) {
+                revalidate(src, url, stored, { onProgress, signal }).then(fresh => {
+                    if (onRevalidate && !signal?.aborted) onRevalidate(fresh);
+                });
+            }
+            return result;
+        } catch (error) {
+            console.warn(`Ignoring unreadable cache entry for ${url}:`, error);
         }
-        this.type = data.type || '';
-        this.usageDescription = data.usageDescription || '';
     }
-}
 
-class AppPermissions {
-    constructor(data) {
-        if (!data || typeof data !== 'object') {
-            throw new Error('Invalid app permissions data');
-        }
-        this.entitlements = data.entitlements || {};
-        this.privacy = data.privacy || {};
+    try {
+        const started = Date.now();
+        const res = await fetchJSONValidated(url, {}, { onProgress, signal });
+        const entry = cacheEntry(res, res.data, started);
+        const result = toResult(entry, url);
+        cache.set(src, result);
+        writeCachedRepo(url, entry);
+        await recordSnapshot(url, result.data);
+        return result;
+    } catch (error) {
+        console.error(`Failed to fetch or parse repo from ${url}:`, error);
+        throw new Error(`Failed to load repository: ${error.message}`);
     }
 }
 
-const cache = new Map();
-
-export async function fetchRepo(src) {
-    if (cache.has(src)) {
-        return cache.get(src);
-    }
-
-    const url = src.includes('://') ? src : `https://raw.githubusercontent.com/ripestore/repos/main/${src}.json`;
-
+/**
+ * Refreshes a cached repository from the network.
+ * Never rejects: failures resolve to the cached result flagged as offline,
+ * and a cancelled refresh resolves to the cached result unchanged.
+ * @param {string} src - The source key used for the memory cache.
+ * @param {string} url - The repository URL.
+ * @param {object} stored - The cached entry.
+ * @param {object} [options] - `onProgress` and `signal`, as for fetchRepo.
+ * @returns {Promise<object>} The refreshed result.
+ */
+async function revalidate(src, url, stored, { onProgress, signal } = {}) {
     try {
-        const data = await fetchJSON(url);
-        const repository = new ASRepository(data);
-        const result = { data: repository, url };
+        const started = Date.now();
+        const res = await fetchJSONValidated(url, stored, { onProgress, signal });
+        if (res.notModified) {
+            const entry = cacheEntry(res, stored.data, started);
+            await writeCachedRepo(url, entry);
+            const result = { ...cache.get(src), fetchedAt: entry.fetchedAt, responseTime: entry.responseTime, fromCache: false, offline: false, changed: false };
+            cache.set(src, result);
+            await recordSnapshot(url, result.data);
+            return result;
+        }
+        const entry = cacheEntry(res, res.data, started);
+        const result = { ...toResult(entry, url), changed: true };
         cache.set(src, result);
+        await writeCachedRepo(url, entry);
+        await recordSnapshot(url, result.data);
         return result;
     } catch (error) {
-        console.error(`Failed to fetch or parse repo from ${url}:`, error);
-        throw new Error(`Failed to load repository: ${error.message}`);
+        if (signal?.aborted) return { ...cache.get(src), changed: false };
+        console.warn(`Background refresh of ${url} failed:`, error);
+        const result = { ...cache.get(src), offline: true, changed: false };
+        cache.set(src, result);
+        return result;
     }
 }
+
+/**
+ * Builds the cache entry for a network fetch.
+ * The body hash detects changes; etag and lastModified are only set for same-origin sources.
+ * @param {object} res - The fetchJSONValidated result.
+ * @param {*} data - The source JSON to store.
+ * @param {number} started - When the fetch started.
+ * @returns {object} The entry ({ data, hash, etag, lastModified, fetchedAt, responseTime }).
+ */
+function cacheEntry(res, data, started) {
+    const entry = { data, hash: res.hash, fetchedAt: Date.now(), responseTime: Date.now() - started };
+    if (res.etag) entry.etag = res.etag;
+    if (res.lastModified) entry.lastModified = res.lastModified;
+    return entry;
+}
+
+/**
+ * Builds a fetchRepo result from a cache entry.
+ * @param {object} entry - The cache entry.
+ * @param {string} url - The repository URL.
+ * @param {object} [flags] - Extra flags to set on the result.
+ * @returns {object} The result.
+ */
+function toResult(entry, url, flags = {}) {
+    return {
+        data: new ASRepository(entry.data),
+        url,
+        fetchedAt: entry.fetchedAt,
+        responseTime: entry.responseTime || 0,
+        fromCache: false,
+        offline: false,
+        ...flags
+    };
+}
@@ -1,22 +1,42 @@
 // Import utility functions and modules
-import { $, ellipsize, semverCompare, parseDateString } from './utils.js';
-import { fetchRepo } from './alt-source-kit.js';
-import { initSearch, addApps, searchApps } from './search.js';
+import { $, formatAge } from './utils.js';
+import { getSources } from './catalog.js';
+import { createCatalogClient } from './catalog-client.js';
+import { getCacheMaxAge } from './repo-cache.js';
+import { getFetchSettings } from './network.js';
+import { buildCard, makeLink } from './cards.js';
+import { createVirtualGrid } from './virtual-grid.js';
+import { findUpdates, markSeen } from './watchlist.js';
+import { getDeviceProfile, isAppCompatible } from './device.js';
+import { FACETS } from './facets.js';
+import { getChangelogs, getChangesSeen, markChangesSeen, describeChanges } from './changelog.js';
 
 // Constants
-const KEY = 'ripe_sources'; // Key for local storage
-const DEFAULTS = ['RipeStore']; // Default repository source
-const BATCH = 20; // Number of apps to load incrementally
+const SCROLL_KEY = 'ripe_home_scroll'; // Session key for the scroll position
 
 // Application state
 const state = {
   allMerged: [], // All apps from all sources, merged by bundle ID
   list: [], // Apps currently displayed
-  rendered: 0, // Number of apps rendered on the screen
   q: '', // Search query
-  sort: '' // Sort order
+  sort: '', // Sort order
+  filters: {}, // Facet selection: facet key -> chosen values
+  facets: {}, // Facet values and counts from the latest query
+  expandedFacets: new Set(), // Facets showing all their values
+  fetched: new Map(), // Latest fetchRepo result per source URL
+  failed: [], // Sources that could not be loaded: { src, message }
+  pending: new Map(), // Sources still loading: src -> latest progress event
+  updatesReady: false, // A background refresh brought newer data
+  loadId: 0, // Current load, matching the engine's numbering
+  queryId: 0 // Latest query, so slower stale answers are dropped
 };
 
+// Parsing, merging and search run off the main thread
+const catalog = createCatalogClient(onCatalogEvent);
+
+// Only the cards near the viewport are mounted
+const grid = createVirtualGrid($('#grid'), { renderItem: buildCard });
+
 /**
  * Displays a skeleton loading indicator.
  * @param {number} count - The number of skeleton loaders to show.
@@ -29,298 +49,464 @@ function showSkeleton(count = 6) {
     sk.className = 'app-skeleton';
     c.appendChild(sk);
   }
-  state.rendered = 0;
 }
 
 /**
- * Retrieves the list of sources from local storage.
- * @returns {string[]} An array of source URLs.
+ * Loads all apps from all sources.
  */
-function getSources() {
-  try {
-    return JSON.parse(localStorage.getItem(KEY)) || DEFAULTS;
-  } catch (_) {
-    return DEFAULTS;
-  }
+function loadAll() {
+  state.allMerged = [];
+  grid.clear();
+  showSkeleton(12);
+
+  state.fetched.clear();
+  state.failed = [];
+  state.updatesReady = false;
+  const sources = getSources();
+  state.pending = new Map(sources.map(src => [src, { phase: 'queued', attempt: 0 }]));
+  renderCacheStatus();
+  renderProgress();
+
+  state.loadId++;
+  catalog.load(sources, getCacheMaxAge(), getFetchSettings());
 }
 
 /**
- * Merges apps from different sources by their bundle ID.
- * @param {Array} apps - An array of app objects.
- * @returns {Array} An array of merged app objects.
+ * Handles progress streamed from the catalog engine.
+ * @param {object} msg - The engine message.
  */
-function mergeByBundle(apps) {
-  const map = new Map();
-  for (const a of apps) {
-    const b = (a.bundleIdentifier || '').trim();
-    if (!b) { // Keep separate when no bundle ID
-      const key = Symbol('nobundle'); // Ensure uniqueness
-      map.set(key, a);
-      continue;
-    }
-    if (!map.has(b)) {
-      map.set(b, { ...a, versions: [...(a.versions || [])] });
-    } else {
-      const acc = map.get(b);
-      // Merge properties
-      acc.name = acc.name || a.name;
-      acc.iconURL = acc.iconURL || a.iconURL;
-      acc.developerName = acc.developerName || a.developerName;
-      acc.localizedDescription = acc.localizedDescription || a.localizedDescription;
-      // Merge versions, avoiding duplicates
-      const seen = new Set(acc.versions.map(v => `${v.version}|${v.downloadURL}`));
-      for (const v of (a.versions || [])) {
-        const id = `${v.version}|${v.downloadURL}`;
-        if (!seen.has(id)) {
-          acc.versions.push(v);
-          seen.add(id);
-        }
+function onCatalogEvent(msg) {
+  if (msg.type === 'revalidated') {
+    onRepoRevalidated(msg.meta);
+    return;
+  }
+  if (msg.loadId !== state.loadId) return;
+
+  switch (msg.type) {
+    case 'progress':
+      if (!state.pending.has(msg.src)) break;
+      state.pending.set(msg.src, msg);
+      renderProgress();
+      break;
+    case 'source':
+      state.pending.delete(msg.src);
+      renderProgress();
+      state.fetched.set(msg.meta.url, msg.meta);
+      if ((!state.q || state.q.trim() === '') && !activeFilterCount()) {
+        renderAppsIncrementally(msg.apps);
       }
-      map.set(b, acc);
-    }
+      break;
+    case 'failed':
+      console.warn(`Source ${msg.src} failed:`, msg.message);
+      state.failed.push({ src: msg.src, message: msg.message });
+      state.pending.delete(msg.src);
+      renderProgress();
+      break;
+    case 'done':
+      state.pending.clear();
+      renderProgress();
+      state.allMerged = msg.merged;
+      filterAndPrepare();
+      renderCacheStatus();
+      renderUpdates();
+      renderChanges();
+      break;
   }
+}
 
-  // Sort versions by date or version number
-  for (const v of map.values()) {
-    if (Array.isArray(v.versions)) {
-      v.versions.sort((x, y) => {
-        const dx = x.date ? new Date(x.date) : null;
-        const dy = y.date ? new Date(y.date) : null;
-        if (dx && dy) return dy - dx;
-        if (dx) return -1;
-        if (dy) return 1;
-        return semverCompare(y.version, x.version);
-      });
-    }
-  }
-  return Array.from(map.values());
+/**
+ * Renders the "Updates" section for watched apps that have newer versions.
+ */
+function renderUpdates() {
+  const box = $('#updates');
+  if (!box) return;
+  box.innerHTML = '';
+  const updates = findUpdates(state.allMerged);
+  box.hidden = updates.length === 0;
+  if (!updates.length) return;
+
+  const title = document.createElement('h2');
+  title.textContent = `Updates (${updates.length})`;
+  box.appendChild(title);
+
+  updates.forEach(({ app, from, to }) => {
+    const row = document.createElement('div');
+    row.className = 'card update-card';
+    const link = document.createElement('a');
+    link.className = 'update-link no-underline';
+    link.href = makeLink(app, to);
+    const icon = document.createElement('div');
+    icon.className = 'icon-wrap';
+    const img = document.createElement('img');
+    img.loading = 'lazy';
+    img.alt = `${app.name} icon`;
+    img.src = app.iconURL || 'data:image/gif;base64,R0lGODlhAQABAAAAACw=';
+    icon.appendChild(img);
+    const meta = document.createElement('div');
+    meta.className = 'meta';
+    const name = document.createElement('div');
+    name.className = 'title ellipsis';
+    name.textContent = app.name || app.bundleIdentifier;
+    const jump = document.createElement('span');
+    jump.className = 'badge update-badge';
+    jump.textContent = from ? `${from} → ${to}` : to;
+    meta.appendChild(name);
+    meta.appendChild(jump);
+    link.appendChild(icon);
+    link.appendChild(meta);
+
+    const dismiss = document.createElement('button');
+    dismiss.className = 'pill';
+    dismiss.textContent = 'Seen';
+    dismiss.addEventListener('click', () => {
+      markSeen(app.bundleIdentifier, app.versions[0]);
+      renderUpdates();
+    });
+    row.appendChild(link);
+    row.appendChild(dismiss);
+    box.appendChild(row);
+  });
 }
 
 /**
- * Sorts an array of apps based on the selected sort mode.
- * @param {Array} apps - The array of apps to sort.
- * @param {string} mode - The sorting mode.
- * @returns {Array} The sorted array of apps.
+ * Records the outcome of a background repository refresh.
+ * @param {object} out - The refreshed fetchRepo result.
  */
-function sortApps(apps, mode) {
-  const byNameAsc = (a, b) => a.name.localeCompare(b.name);
-  const byNameDesc = (a, b) => b.name.localeCompare(a.name);
-  const getLatestDate = (app) => {
-    const dateStr = app.versions?.[0]?.date;
-    return parseDateString(dateStr);
-  };
+function onRepoRevalidated(out) {
+  state.fetched.set(out.url, out);
+  if (out.changed) state.updatesReady = true;
+  renderCacheStatus();
+  renderChanges();
+}
 
-  const byVerDesc = (a, b) => {
-    const dateA = getLatestDate(a);
-    const dateB = getLatestDate(b);
-    if (dateA && dateB) return dateB.getTime() - dateA.getTime();
-    if (dateA) return -1;
-    if (dateB) return 1;
-    return a.name.localeCompare(b.name);
-  };
+/**
+ * Renders the "since your last visit" banner from the source changelogs.
+ */
+async function renderChanges() {
+  const box = $('#changes');
+  const seen = getChangesSeen();
+  const logs = await getChangelogs([...state.fetched.keys()]);
+  const fresh = logs.flatMap(l => l.changelog.filter(e => e.at > seen));
+  const phrases = describeChanges(fresh);
+  box.innerHTML = '';
+  box.hidden = !phrases.length;
+  if (!phrases.length) return;
+
+  const msg = document.createElement('span');
+  msg.textContent = `Since your last visit: ${phrases.join(', ')}.`;
+  const link = document.createElement('a');
+  link.className = 'pill no-underline';
+  link.href = 'changes.html';
+  link.textContent = 'View changes';
+  const dismiss = document.createElement('button');
+  dismiss.className = 'pill';
+  dismiss.textContent = 'Dismiss';
+  dismiss.addEventListener('click', () => {
+    markChangesSeen();
+    box.hidden = true;
+  });
+  box.appendChild(msg);
+  box.appendChild(link);
+  box.appendChild(dismiss);
+}
 
-  const byVerAsc = (a, b) => {
-    const dateA = getLatestDate(a);
-    const dateB = getLatestDate(b);
-    if (dateA && dateB) return dateA.getTime() - dateB.getTime();
-    if (dateA) return 1;
-    if (dateB) return -1;
-    return a.name.localeCompare(b.name);
+/**
+ * Shows which sources are still loading, and which of them are being retried.
+ */
+function renderProgress() {
+  const el = $('#loadProgress');
+  const total = getSources().length;
+  const pending = Array.from(state.pending.entries());
+  el.hidden = !pending.length;
+  if (!pending.length) return;
+  const label = ([src, p]) => {
+    const notes = [];
+    if (p.attempt > 1) notes.push(`retry ${p.attempt - 1}`);
+    if (p.proxied) notes.push('via proxy');
+    return notes.length ? `${src} (${notes.join(', ')})` : src;
   };
+  // Sources being retried come first, since they are the likely stragglers
+  pending.sort((a, b) => (b[1].attempt > 1) - (a[1].attempt > 1));
+  const names = pending.slice(0, 3).map(label).join(', ');
+  const more = pending.length > 3 ? ` and ${pending.length - 3} more` : '';
+  el.textContent = `Loading ${pending.length} of ${total} source${total === 1 ? '' : 's'}: ${names}${more}`;
+}
 
-  switch (mode) {
-    case 'name-desc': return apps.sort(byNameDesc);
-    case 'version-desc': return apps.sort(byVerDesc);
-    case 'version-asc': return apps.sort(byVerAsc);
-    default: return apps.sort(byNameAsc);
+/**
+ * Shows failed sources, whether the catalog is served offline from cache,
+ * or whether fresher data is waiting.
+ */
+function renderCacheStatus() {
+  const el = $('#cacheStatus');
+  if (!el) return;
+  el.innerHTML = '';
+  const results = Array.from(state.fetched.values());
+  const offline = results.filter(r => r.offline);
+
+  if (state.failed.length) {
+    const n = state.failed.length;
+    const msg = document.createElement('span');
+    msg.textContent = `${n} source${n === 1 ? '' : 's'} failed to load: ${state.failed.map(f => f.src).join(', ')}`;
+    msg.className = 'ellipsis';
+    const link = document.createElement('a');
+    link.className = 'pill no-underline';
+    link.href = 'sources.html';
+    link.textContent = 'Details';
+    el.appendChild(msg);
+    el.appendChild(link);
+    el.hidden = false;
+  } else if (offline.length) {
+    const oldest = Math.min(...offline.map(r => r.fetchedAt || Date.now()));
+    el.textContent = `Offline — showing cached data, last updated ${formatAge(oldest)}`;
+    el.hidden = false;
+  } else if (state.updatesReady) {
+    const msg = document.createElement('span');
+    msg.textContent = 'Sources have new data.';
+    const btn = document.createElement('button');
+    btn.className = 'pill';
+    btn.textContent = 'Refresh';
+    btn.addEventListener('click', () => loadAll());
+    el.appendChild(msg);
+    el.appendChild(btn);
+    el.hidden = false;
+  } else {
+    el.hidden = true;
   }
 }
 
 /**
- * Loads all apps from all sources.
+ * Filters and prepares the list of apps to be displayed based on search, facet and sort state.
+ * The search, facets and sort run in the catalog engine; results come back as references.
  */
-async function loadAll() {
-  const sources = getSources();
-  state.allMerged = [];
-  $('#grid').innerHTML = '';
-  showSkeleton(12);
-
-  const promises = sources.map(async (src) => {
-    const out = await fetchRepo(src);
-    const apps = out.data.apps.map(app => ({ ...app, source: out.url }));
-    addApps(apps);
-    state.allMerged = state.allMerged.concat(apps);
-    if (!state.q || state.q.trim() === '') {
-      renderAppsIncrementally(apps);
-    }
+async function filterAndPrepare() {
+  const id = ++state.queryId;
+  const device = hidesIncompatible() ? getDeviceProfile() : null;
+  const { flat, refs, facets, loadId } = await catalog.query(state.q, state.sort, state.filters, device);
+  if (id !== state.queryId) return;
+  // A refresh is running: the refs point into a catalog this page no longer has, and 'done' queries again
+  if (loadId !== state.loadId) return;
+  state.facets = facets || {};
+  renderFacets();
+
+  // Incompatible apps were already left out by the engine when the profile hides them
+  state.list = refs.filter(({ i }) => state.allMerged[i]).map(({ i, v, m }) => {
+    const app = state.allMerged[i];
+    if (!flat) return app;
+    const entry = v >= 0 && app.versions?.[v] ? { ...app, ...app.versions[v] } : { ...app };
+    return Object.assign(entry, { _isVersion: true, _matches: m });
   });
+  grid.setItems(state.list);
+  restoreScroll();
+}
 
-  await Promise.allSettled(promises);
-  const merged = mergeByBundle(state.allMerged);
-  state.allMerged = merged;
-  initSearch(state.allMerged);
+/**
+ * Counts the chosen facet values.
+ * @returns {number} The number of active filters.
+ */
+function activeFilterCount() {
+  return Object.values(state.filters).reduce((n, list) => n + list.length, 0);
+}
+
+/**
+ * Toggles one facet value and re-runs the query.
+ * @param {string} key - The facet key.
+ * @param {string} value - The facet value.
+ * @param {boolean} on - Whether the value is chosen.
+ */
+function setFilter(key, value, on) {
+  const list = (state.filters[key] || []).filter(v => v !== value);
+  if (on) list.push(value);
+  if (list.length) state.filters[key] = list;
+  else delete state.filters[key];
+  syncURL(true);
   filterAndPrepare();
 }
 
 /**
- * Filters and prepares the list of apps to be displayed based on search and sort state.
+ * Reads the search, sort and facet selection from the page URL.
+ * Facets use one parameter per chosen value, e.g. `?category=games&category=utilities`.
  */
-function filterAndPrepare() {
-  const q = state.q.trim();
-  let appsToProcess = [];
-
-  if (q) {
-    // When searching, flatten all versions from all merged apps
-    const allIndividualVersions = [];
-    state.allMerged.forEach(app => {
-      if (app.versions && app.versions.length) {
-        app.versions.forEach(v => {
-          allIndividualVersions.push({ ...app, ...v, _isVersion: true });
-        });
-      } else {
-        allIndividualVersions.push({ ...app, _isVersion: true });
-      }
-    });
-    appsToProcess = searchApps(q, allIndividualVersions);
-  } else {
-    appsToProcess = state.allMerged;
+function readURL() {
+  const params = new URLSearchParams(location.search);
+  state.q = params.get('q') || '';
+  const sortSel = $('#sort');
+  const sort = params.get('sort') || '';
+  state.sort = [...sortSel.options].some(o => o.value === sort) ? sort : '';
+  state.filters = {};
+  FACETS.forEach(({ key }) => {
+    const values = params.getAll(key).filter(Boolean);
+    if (values.length) state.filters[key] = values;
+  });
+  $('#search').value = state.q;
+  sortSel.value = state.sort || sortSel.options[0].value;
+  if (activeFilterCount()) {
+    $('#facets').hidden = false;
+    $('#filtersBtn').setAttribute('aria-expanded', 'true');
   }
+}
 
-  // Filter out apps without a date if sorting by version date
-  if (state.sort === 'version-desc' || state.sort === 'version-asc') {
-    appsToProcess = appsToProcess.filter(app => {
-      const dateStr = app.date;
-      return parseDateString(dateStr) !== null;
+/**
+ * Writes the search, sort and facet selection to the page URL.
+ * @param {boolean} push - Add a history entry rather than replacing the current one.
+ */
+function syncURL(push) {
+  const params = new URLSearchParams();
+  if (state.q.trim()) params.set('q', state.q.trim());
+  if (state.sort && state.sort !== $('#sort').options[0].value) params.set('sort', state.sort);
+  FACETS.forEach(({ key }) => (state.filters[key] || []).forEach(v => params.append(key, v)));
+  const query = params.toString();
+  const url = location.pathname + (query ? '?' + query : '') + location.hash;
+  if (url === location.pathname + location.search + location.hash) return;
+  if (push) history.pushState(null, '', url);
+  else history.replaceState(null, '', url);
+}
+
+/**
+ * Renders the facet panel from the latest counts.
+ */
+function renderFacets() {
+  const box = $('#facets');
+  const n = activeFilterCount();
+  $('#filtersBtn').textContent = n ? `Filters (${n})` : 'Filters';
+  const focused = document.activeElement?.dataset?.facet ? document.activeElement.dataset.facet : '';
+  box.innerHTML = '';
+
+  FACETS.forEach(({ key, label }) => {
+    const values = state.facets[key] || [];
+    if (!values.length) return;
+    const group = document.createElement('fieldset');
+    group.className = 'facet-group';
+    const legend = document.createElement('legend');
+    legend.textContent = label;
+    group.appendChild(legend);
+
+    // Long lists (developers, categories) collapse to their most common values
+    const limit = state.expandedFacets.has(key) ? Infinity : 10;
+    values.forEach((v, i) => {
+      const chosen = (state.filters[key] || []).includes(v.value);
+      const chip = document.createElement('label');
+      chip.className = 'chip' + (chosen ? ' active' : '');
+      chip.hidden = i >= limit && !chosen;
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.checked = chosen;
+      input.dataset.facet = `${key}:${v.value}`;
+      input.addEventListener('change', () => setFilter(key, v.value, input.checked));
+      const count = document.createElement('span');
+      count.className = 'count';
+      count.textContent = v.count;
+      chip.appendChild(input);
+      chip.appendChild(document.createTextNode(v.label));
+      chip.appendChild(count);
+      group.appendChild(chip);
     });
-  }
+    const hidden = group.querySelectorAll('.chip[hidden]').length;
+    if (hidden) {
+      const more = document.createElement('button');
+      more.className = 'pill';
+      more.textContent = `${hidden} more…`;
+      more.addEventListener('click', () => {
+        state.expandedFacets.add(key);
+        group.querySelectorAll('.chip[hidden]').forEach(c => { c.hidden = false; });
+        more.remove();
+      });
+      group.appendChild(more);
+    }
+    box.appendChild(group);
+  });
 
-  state.list = appsToProcess;
-  sortApps(state.list, state.sort);
+  if (n) {
+    const clear = document.createElement('button');
+    clear.className = 'pill';
+    clear.textContent = 'Clear filters';
+    clear.addEventListener('click', () => {
+      state.filters = {};
+      syncURL(true);
+      filterAndPrepare();
+    });
+    box.appendChild(clear);
+  }
 
-  state.rendered = 0;
-  $('#grid').innerHTML = '';
-  appendBatch();
+  // Keep keyboard focus on the checkbox that was just toggled
+  if (focused) box.querySelector(`input[data-facet="${CSS.escape(focused)}"]`)?.focus();
 }
 
 /**
- * Renders a batch of apps incrementally.
- * @param {Array} apps - The array of apps to render.
+ * Saves the scroll position so returning from an app page lands in the same place.
  */
-function renderAppsIncrementally(apps) {
-  if (!Array.isArray(apps) || apps.length === 0) return;
-  const grid = $('#grid');
-  apps.forEach(a => {
-    grid.appendChild(buildCard(a));
-    state.rendered++;
-  });
+function saveScroll() {
+  sessionStorage.setItem(SCROLL_KEY, JSON.stringify({ y: window.scrollY, q: state.q, sort: state.sort, filters: state.filters }));
 }
 
 /**
- * Appends the next batch of apps to the grid.
+ * Restores the saved scroll position once, if the same view is shown again.
  */
-function appendBatch() {
-  const grid = $('#grid');
-  const next = Math.min(state.rendered + BATCH, state.list.length);
-  for (let i = state.rendered; i < next; i++) {
-    const a = state.list[i];
-    grid.appendChild(buildCard(a));
-  }
-  state.rendered = next;
+function restoreScroll() {
+  let saved = null;
+  try {
+    saved = JSON.parse(sessionStorage.getItem(SCROLL_KEY));
+  } catch (_) {}
+  sessionStorage.removeItem(SCROLL_KEY);
+  if (!saved || saved.q !== state.q || saved.sort !== state.sort) return;
+  if (JSON.stringify(saved.filters || {}) !== JSON.stringify(state.filters)) return;
+  window.scrollTo(0, saved.y);
+  grid.update();
 }
 
 /**
- * Builds an app card element.
- * @param {object} a - The app object.
- * @returns {HTMLElement} The app card element.
+ * Renders a batch of apps incrementally.
+ * @param {Array} apps - The array of apps to render.
  */
-function buildCard(a) {
-  const card = document.createElement('a');
-  card.className = 'card no-underline';
-  const versionLabel = a._verEntry ? a._verEntry.version : (a.versions?.[0]?.version || '');
-  const link = makeLink(a, versionLabel);
-  card.href = link;
-  card.setAttribute('role', 'listitem');
-
-  const icon = document.createElement('div');
-  icon.className = 'icon-wrap';
-  const img = document.createElement('img');
-  img.loading = 'lazy';
-  img.alt = (a.name || a.bundleIdentifier) + ' icon';
-  img.src = a.iconURL || 'data:image/gif;base64,R0lGODlhAQABAAAAACw=';
-  icon.appendChild(img);
-
-  const meta = document.createElement('div');
-  meta.className = 'meta';
-  const title = document.createElement('div');
-  title.className = 'title ellipsis';
-  title.textContent = a.name || a.bundleIdentifier;
-  const sub = document.createElement('div');
-  sub.className = 'sub ellipsis';
-  sub.textContent = a.subtitle || a.developerName || a.bundleIdentifier;
-  const ver = document.createElement('div');
-  ver.className = 'small ellipsis';
-  ver.textContent = versionLabel ? `Version ${ellipsize(versionLabel, 48)}` : '';
-  const snippet = document.createElement('div');
-  snippet.className = 'desc-snippet ellipsis';
-
-  const notes = a._verEntry?.notes || a.localizedDescription || '';
-  snippet.textContent = ellipsize(notes, 120);
-
-  meta.appendChild(title);
-  meta.appendChild(sub);
-  meta.appendChild(ver);
-  meta.appendChild(snippet);
-
-  const right = document.createElement('div');
-  right.className = 'right';
-  const pill = document.createElement('div');
-  pill.className = 'pill';
-  pill.textContent = 'View';
-  right.appendChild(pill);
-
-  card.appendChild(icon);
-  card.appendChild(meta);
-  card.appendChild(right);
-  return card;
+function renderAppsIncrementally(apps) {
+  if (!Array.isArray(apps) || apps.length === 0) return;
+  const hide = hidesIncompatible();
+  grid.append(hide ? apps.filter(a => isAppCompatible(a)) : apps);
 }
 
 /**
- * Creates a link to the app details page.
- * @param {object} a - The app object.
- * @param {string} version - The app version.
- * @returns {string} The URL for the app details page.
+ * Tells whether the device profile asks Home to hide incompatible apps.
+ * @returns {boolean} True if incompatible apps are hidden rather than dimmed.
  */
-function makeLink(a, version) {
-  const params = new URLSearchParams();
-  params.set('bundle', a.bundleIdentifier);
-  if (version) params.set('version', version);
-  params.set('repo', a.source);
-  return 'app.html?' + params.toString();
+function hidesIncompatible() {
+  const p = getDeviceProfile();
+  return p.mode === 'hide' && !!(p.ios || p.family);
 }
 
 // Event listener for the search input
+const debouncedFilter = debounce(filterAndPrepare, 220);
 document.getElementById('search').addEventListener('input', e => {
   state.q = e.target.value;
-  debounce(filterAndPrepare, 220)();
+  // Starting a search adds a history entry; refining it replaces that entry
+  syncURL(!new URLSearchParams(location.search).has('q'));
+  debouncedFilter();
 });
 
 // Event listener for the sort dropdown
 document.getElementById('sort').addEventListener('change', e => {
   state.sort = e.target.value;
+  syncURL(true);
   filterAndPrepare();
 });
 
-// Infinite scroll functionality
-let ticking = false;
-window.addEventListener('scroll', () => {
-  if (ticking) return;
-  ticking = true;
-  requestAnimationFrame(() => {
-    const nearBottom = (window.innerHeight + window.scrollY) >= (document.body.offsetHeight - 400);
-    if (nearBottom) appendBatch();
-    ticking = false;
-  });
+// Back and forward restore the view stored in the URL
+window.addEventListener('popstate', () => {
+  readURL();
+  filterAndPrepare();
+});
+
+// Event listener for the facet panel toggle
+$('#filtersBtn').addEventListener('click', () => {
+  const box = $('#facets');
+  box.hidden = !box.hidden;
+  $('#filtersBtn').setAttribute('aria-expanded', String(!box.hidden));
+});
+
+// Remember where we were when leaving for an app page
+if ('scrollRestoration' in history) history.scrollRestoration = 'manual';
+$('#grid').addEventListener('click', e => {
+  if (e.target.closest('a.card')) saveScroll();
 });
+window.addEventListener('pagehide', saveScroll);
 
 /**
  * Debounces a function to limit the rate at which it gets called.
@@ -336,5 +522,6 @@ function debounce(fn, ms = 200) {
   };
 }
 
-// Initial load of all apps
+// Initial load of all apps, in the view described by the URL
+readURL();
 loadAll();
@@ -1,6 +1,28 @@
 // Import utility functions
-import { $, qs, semverCompare, ellipsize, parseDateString, formatDate } from './utils.js';
-import { fetchRepo } from './alt-source-kit.js';
+import { $, qs, ellipsize, formatDate, formatAge, formatSize, safeURL } from './utils.js';
+import { ASRepository, fetchRepo, resolveRepoURL, sortVersions } from './alt-source-kit.js';
+import { getSources, mergeByBundle, appSources } from './catalog.js';
+import { isWatched, watch, unwatch, markSeen } from './watchlist.js';
+import { isVersionCompatible, newestCompatibleIndex, osRangeLabel, getDeviceProfile } from './device.js';
+import { listTargets, buildInstallLink, buildManifestPlist } from './install-targets.js';
+import { listPermissions, diffPermissions } from './permissions.js';
+import { openLightbox } from './lightbox.js';
+
+// Constants
+const DRAFT_KEY = 'ripe_builder_draft'; // Saved by the source builder
+const PREVIEW_URL = 'builder:draft';
+
+/**
+ * Builds a fetchRepo-style result from the source builder's draft.
+ * @returns {object} The result, with an empty repository if there is no draft.
+ */
+function loadDraftPreview() {
+  let data = {};
+  try {
+    data = JSON.parse(localStorage.getItem(DRAFT_KEY)) || {};
+  } catch (_) {}
+  return { data: new ASRepository(data), url: PREVIEW_URL, fetchedAt: Date.now(), responseTime: 0, fromCache: false, offline: false };
+}
 
 /**
  * Initializes the app details page.
@@ -11,23 +33,53 @@ async function start() {
   const repoUrl = qs('repo');
   const hero = $('#hero');
   const vSel = $('#versionSelect');
-  const dl = $('#downloadBtn');
 
-  // Show an error if the bundle or repo is missing
-  if (!bundle || !repoUrl) {
+  // Show an error if the bundle is missing
+  if (!bundle) {
     hero.innerHTML = `<div class="meta"><div class="hero-title">No app selected</div><div class="hero-sub">Open from Home or use a shared link.</div></div>`;
     return;
   }
 
   try {
-    const repo = await fetchRepo(repoUrl);
-    const app = repo.data.apps.find(a => a.bundleIdentifier === bundle);
+    let loaded;
+    let failures = []; // Reasons the configured sources could not be loaded
+    if (qs('preview')) {
+      // Builder preview: render the unsaved draft instead of the configured sources
+      loaded = [loadDraftPreview()];
+    } else {
+      // Load every configured source, plus the linked repo if it isn't one of them
+      const sources = getSources();
+      if (repoUrl && !sources.some(s => resolveRepoURL(s) === resolveRepoURL(repoUrl))) sources.unshift(repoUrl);
+      const results = await Promise.allSettled(sources.map(src => fetchRepo(src, { onRevalidate: out => out.offline && renderCacheStatus(out) })));
+      loaded = results.filter(r => r.status === 'fulfilled').map(r => r.value);
+      failures = results.filter(r => r.status === 'rejected').map(r => r.reason?.message || String(r.reason));
+      const offline = loaded.find(r => r.offline);
+      if (offline) renderCacheStatus(offline);
+    }
+
+    // The linked repo's copy comes first so its metadata wins the merge
+    const primaryUrl = repoUrl ? resolveRepoURL(repoUrl) : '';
+    loaded.sort((x, y) => (y.url === primaryUrl) - (x.url === primaryUrl));
+    const matches = [];
+    loaded.forEach(out => {
+      out.data.apps
+        .filter(a => a.bundleIdentifier === bundle)
+        .forEach(a => matches.push({ ...a, source: out.url, sourceName: out.data.name || out.url }));
+    });
 
-    // Show an error if the app is not found
-    if (!app) {
-      hero.innerHTML = `<div class="meta"><div class="hero-title">Not found</div><div class="hero-sub">This bundle isn’t in that repo.</div></div>`;
+    // Show an error if the app is not found, or if the sources could not be searched
+    if (!matches.length) {
+      if (failures.length && !loaded.length) {
+        showHeroMessage('Couldn’t load your sources', failures[0]);
+      } else if (failures.length) {
+        const n = failures.length;
+        showHeroMessage('Not found', `This bundle isn’t in the sources that loaded. ${n} source${n === 1 ? '' : 's'} failed to load: ${failures[0]}`);
+      } else {
+        showHeroMessage('Not found', 'This bundle isn’t in any of your sources.');
+      }
       return;
     }
+    const app = mergeByBundle(matches)[0];
 
     // Build the hero section
     const icon = document.createElement('div');
@@ -54,110 +106,76 @@ async function start() {
     hero.appendChild(icon);
     hero.appendChild(meta);
 
-    // Populate the version selector
-    app.versions.sort((a, b) => {
-      const da = parseDateString(a.date),
-        db = parseDateString(b.date);
-      if (da && db) {
-        return db - da;
-      }
-      return semverCompare(b.version, a.version);
+    // Link every source that carries the app
+    const carriers = appSources(app);
+    const repoLinks = $('#repoLink');
+    repoLinks.innerHTML = '';
+    carriers.forEach((src, i) => {
+      if (i) repoLinks.appendChild(document.createTextNode(', '));
+      const a = document.createElement('a');
+      a.href = src.url === PREVIEW_URL ? 'builder.html' : 'repo.html?' + new URLSearchParams({ repo: src.url }).toString();
+      a.textContent = src.name;
+      repoLinks.appendChild(a);
     });
 
-    vSel.innerHTML = '';
-    app.versions.forEach(v => {
-      const opt = document.createElement('option');
-      opt.value = v.version || '';
-      opt.dataset.url = v.downloadURL || '';
-      opt.dataset.notes = v.localizedDescription || '';
-      opt.dataset.date = v.date || '';
-      const pretty = v.version ? v.version : 'latest';
-      const prettyDate = formatDate(v.date);
-      opt.textContent = pretty + (prettyDate ? (' — ' + prettyDate) : '');
-      vSel.appendChild(opt);
-    });
+    // Populate the version selector
+    sortVersions(app.versions);
 
-    // Set the selected version
-    if (versionParam) {
-      const found = Array.from(vSel.options).find(o => o.value === versionParam);
-      if (found) vSel.value = versionParam;
-      else if (vSel.options.length) vSel.selectedIndex = 0; // newest
-    } else if (vSel.options.length) {
-      vSel.selectedIndex = 0; // newest
-    }
+    setupWatch(app);
+    renderScreenshots(app);
+
+    // Versions currently listed, narrowed by the source filter
+    let shown = app.versions;
+    let sourceFilter = '';
 
     /**
-     * Renders the screenshots in an App Store-style container.
-     * @param {string[]} screenshotUrls - An array of screenshot URLs.
+     * Fills the version selector with the listed versions.
+     * @param {string|null} wanted - A version to select, if present.
      */
-    function renderScreenshots(screenshotUrls) {
-      const screenshotsContainer = $('#screenshots');
-      screenshotsContainer.innerHTML = '';
-      if (screenshotUrls && screenshotUrls.length > 0) {
-        const title = document.createElement('h2');
-        title.textContent = 'Screenshots';
-        screenshotsContainer.appendChild(title);
-
-        const scrollContainer = document.createElement('div');
-        scrollContainer.className = 'screenshots-scroll-container';
-
-        const scroll = document.createElement('div');
-        scroll.className = 'screenshots-scroll';
-
-        screenshotUrls.forEach(url => {
-          const screenshotCell = document.createElement('div');
-          screenshotCell.className = 'screenshot-cell';
-          const img = document.createElement('img');
-          img.src = url;
-          screenshotCell.appendChild(img);
-          scroll.appendChild(screenshotCell);
-        });
-
-        scrollContainer.appendChild(scroll);
-        screenshotsContainer.appendChild(scrollContainer);
-      }
+    function populateVersions(wanted) {
+      vSel.innerHTML = '';
+      shown.forEach(v => {
+        const opt = document.createElement('option');
+        opt.value = v.version || '';
+        const pretty = v.version ? v.version : 'latest';
+        const prettyDate = formatDate(v.date);
+        opt.textContent = pretty + (prettyDate ? (' — ' + prettyDate) : '');
+        if (carriers.length > 1) opt.textContent += ` · ${v.sources.map(s => s.name).join(', ')}`;
+        if (!isVersionCompatible(v, app)) opt.textContent += ` (needs ${osRangeLabel(v) || 'another device'})`;
+        vSel.appendChild(opt);
+      });
+
+      // Set the selected version
+      const fallbackIndex = newestCompatibleIndex(shown, app); // newest the device can run
+      const found = wanted ? shown.findIndex(v => v.version === wanted) : -1;
+      if (vSel.options.length) vSel.selectedIndex = found >= 0 ? found : fallbackIndex;
     }
 
     /**
-     * Renders the permissions.
-     * @param {object[]} permissions - An array of permission objects.
+     * Picks the download URL for a version, honoring the source filter.
+     * @param {object} v - The merged version.
+     * @returns {string} The download URL.
      */
-    function renderPermissions(permissions) {
-        const permissionsContainer = $('#permissions');
-        permissionsContainer.innerHTML = '';
-        if (permissions && permissions.length > 0) {
-            const title = document.createElement('h2');
-            title.textContent = 'Permissions';
-            permissionsContainer.appendChild(title);
-            permissions.forEach(p => {
-                const row = document.createElement('div');
-                row.className = 'row';
-                const label = document.createElement('div');
-                label.className = 'label';
-                label.textContent = p.type;
-                const value = document.createElement('div');
-                value.className = 'value';
-                value.textContent = p.usageDescription;
-                row.appendChild(label);
-                row.appendChild(value);
-                permissionsContainer.appendChild(row);
-            });
-        }
+    function downloadFor(v) {
+      const tag = sourceFilter && v.sources.find(s => s.url === sourceFilter);
+      return (tag && tag.downloadURL) || v.downloadURL || '';
     }
 
+    populateVersions(versionParam);
+
     /**
      * Updates the UI based on the selected version.
      */
     function updateUIForVersion() {
-      const opt = vSel.options[vSel.selectedIndex];
-      const url = opt?.dataset?.url || '#';
-      const notes = opt?.dataset?.notes || '';
-      dl.href = url || '#';
-      const dateStr = opt?.dataset?.date || '';
+      const v = shown[vSel.selectedIndex];
+      const url = v ? downloadFor(v) : '';
+      const notes = v?.localizedDescription || '';
+      renderInstall(app, v ? { ...v, downloadURL: url } : null);
+      const dateStr = v?.date || '';
       const params = new URLSearchParams();
       params.set('bundle', app.bundleIdentifier);
-      if (opt?.value) params.set('version', opt.value);
-      params.set('repo', repoUrl);
+      if (v?.version) params.set('version', v.version);
+      params.set('repo', sourceFilter || v?.sources?.[0]?.url || repoUrl || '');
       const shareUrl = location.origin + location.pathname.replace(/[^/]+$/, '') + 'app.html?' + params.toString();
       const descEl = $('#desc');
       descEl.textContent = notes ? ellipsize(notes, 1000) : (app.localizedDescription ? ellipsize(app.localizedDescription, 1000) : '');
@@ -165,12 +183,47 @@ async function start() {
       if (upd) {
         upd.textContent = dateStr ? ('Updated: ' + formatDate(dateStr)) : '';
       }
-      renderScreenshots(app.screenshotURLs);
-      renderPermissions(app.permissions);
+      renderPermissions(app, v);
+      markCurrentVersion(vSel.selectedIndex);
+    }
+
+    // The deep-linked version is scrolled to and highlighted on the first render only
+    let deepLink = versionParam;
+
+    /**
+     * Re-renders the version list after the source filter changes.
+     * @param {string|null} wanted - A version to keep selected, if present.
+     */
+    function refreshVersions(wanted) {
+      shown = sourceFilter ? app.versions.filter(v => v.sources.some(s => s.url === sourceFilter)) : app.versions;
+      populateVersions(wanted);
+      renderHistory({ ...app, versions: shown }, deepLink, i => {
+        vSel.selectedIndex = i;
+        updateUIForVersion();
+      }, downloadFor);
+      deepLink = null;
+      updateUIForVersion();
+    }
+
+    // Source filter, shown when several sources carry the app
+    const srcSel = $('#versionSource');
+    if (srcSel && carriers.length > 1) {
+      srcSel.innerHTML = '';
+      [{ url: '', name: `All sources (${carriers.length})` }].concat(carriers).forEach(src => {
+        const opt = document.createElement('option');
+        opt.value = src.url;
+        opt.textContent = src.name;
+        srcSel.appendChild(opt);
+      });
+      srcSel.closest('.row').hidden = false;
+      srcSel.addEventListener('change', () => {
+        sourceFilter = srcSel.value;
+        refreshVersions(shown[vSel.selectedIndex]?.version || null);
+      });
     }
 
-    updateUIForVersion();
     vSel.addEventListener('change', updateUIForVersion);
+    refreshVersions(versionParam);
 
   } catch (e) {
     hero.innerHTML = `<div class="meta"><div class="hero-title">Error</div><div class="hero-sub">Unable to load app details.</div></div>`;
@@ -178,5 +231,416 @@ async function start() {
   }
 }
 
+/**
+ * Shows a message in place of the app header.
+ * @param {string} title - The headline.
+ * @param {string} text - The explanation.
+ */
+function showHeroMessage(title, text) {
+  const hero = $('#hero');
+  hero.innerHTML = '';
+  const meta = document.createElement('div');
+  meta.className = 'meta';
+  const t = document.createElement('div');
+  t.className = 'hero-title';
+  t.textContent = title;
+  const sub = document.createElement('div');
+  sub.className = 'hero-sub';
+  sub.textContent = text;
+  meta.appendChild(t);
+  meta.appendChild(sub);
+  hero.appendChild(meta);
+}
+
+/**
+ * Marks the selected version in the timeline.
+ * @param {number} index - The index of the selected version among those listed.
+ */
+function markCurrentVersion(index) {
+  document.querySelectorAll('#history .timeline-entry').forEach(el => {
+    el.classList.toggle('current', el.id === `v-${index}`);
+  });
+}
+
+/**
+ * Renders the version history as a changelog timeline.
+ * @param {object} app - The app, versions sorted newest first.
+ * @param {string|null} versionParam - A version to scroll to and highlight, or null.
+ * @param {Function} onSelect - Called with a version's index when it is chosen.
+ * @param {Function} downloadFor - Returns the download URL to offer for a version.
+ */
+function renderHistory(app, versionParam, onSelect, downloadFor) {
+  const versions = app.versions;
+  const box = $('#history');
+  if (!box) return;
+  box.innerHTML = '';
+  if (!versions.length) {
+    box.hidden = true;
+    return;
+  }
+
+  const head = document.createElement('div');
+  head.className = 'history-head';
+  const title = document.createElement('h2');
+  title.textContent = `Version History (${versions.length})`;
+  const toggleAll = document.createElement('button');
+  toggleAll.className = 'pill';
+  toggleAll.textContent = 'Expand all';
+  head.appendChild(title);
+  head.appendChild(toggleAll);
+  box.appendChild(head);
+
+  const list = document.createElement('ol');
+  list.className = 'timeline';
+  let target = null;
+
+  versions.forEach((v, i) => {
+    const item = document.createElement('li');
+    item.className = 'timeline-entry collapsed';
+    item.id = `v-${i}`;
+    const compatible = isVersionCompatible(v, app);
+    if (!compatible) item.classList.add('incompatible');
+
+    const top = document.createElement('button');
+    top.className = 'timeline-top';
+    const ver = document.createElement('span');
+    ver.className = 'title';
+    ver.textContent = v.version || 'Unversioned';
+    const date = document.createElement('span');
+    date.className = 'small';
+    date.textContent = formatDate(v.date);
+    top.appendChild(ver);
+    top.appendChild(date);
+    top.addEventListener('click', () => item.classList.toggle('collapsed'));
+
+    const facts = document.createElement('div');
+    facts.className = 'small timeline-facts';
+    facts.textContent = [
+      (v.sources || []).map(src => src.name).join(', '),
+      v.buildVersion ? `Build ${v.buildVersion}` : '',
+      formatSize(v.size),
+      osRangeLabel(v),
+      compatible ? '' : 'Not compatible with your device'
+    ].filter(Boolean).join(' · ');
+
+    const notes = document.createElement('div');
+    notes.className = 'timeline-notes';
+    notes.textContent = v.localizedDescription || 'No release notes.';
+
+    const actions = document.createElement('div');
+    actions.className = 'button-row';
+    // Download URLs come from the source, so only http(s) links are offered
+    const href = safeURL(downloadFor(v));
+    if (href) {
+      const dl = document.createElement('a');
+      dl.className = 'pill no-underline';
+      dl.href = href;
+      dl.textContent = 'Download';
+      actions.appendChild(dl);
+    }
+    const pick = document.createElement('button');
+    pick.className = 'pill';
+    pick.textContent = 'Select';
+    pick.addEventListener('click', () => onSelect(i));
+    actions.appendChild(pick);
+
+    item.appendChild(top);
+    if (facts.textContent) item.appendChild(facts);
+    item.appendChild(notes);
+    item.appendChild(actions);
+    list.appendChild(item);
+
+    if (!target && versionParam && v.version === versionParam) target = item;
+  });
+
+  toggleAll.addEventListener('click', () => {
+    const expand = toggleAll.textContent === 'Expand all';
+    list.querySelectorAll('.timeline-entry').forEach(el => el.classList.toggle('collapsed', !expand));
+    toggleAll.textContent = expand ? 'Collapse all' : 'Expand all';
+  });
+
+  box.appendChild(list);
+  box.hidden = false;
+
+  if (target) {
+    target.classList.remove('collapsed');
+    target.classList.add('highlight');
+    requestAnimationFrame(() => target.scrollIntoView({ behavior: 'smooth', block: 'center' }));
+  }
+}
+
+/**
+ * Renders the screenshots in an App Store-style strip, with an iPhone/iPad toggle
+ * when the app has both sets. Tapping a screenshot opens the full-screen viewer.
+ * @param {object} app - The app, with screenshots normalized to `{ iphone, ipad }`.
+ */
+function renderScreenshots(app) {
+  const box = $('#screenshots');
+  box.innerHTML = '';
+  const sets = app.screenshots || { iphone: [], ipad: [] };
+  const devices = ['iphone', 'ipad'].filter(d => sets[d]?.length);
+  if (!devices.length) return;
+
+  const head = document.createElement('div');
+  head.className = 'screenshots-head';
+  const title = document.createElement('h2');
+  title.textContent = 'Screenshots';
+  head.appendChild(title);
+  box.appendChild(head);
+
+  const scrollContainer = document.createElement('div');
+  scrollContainer.className = 'screenshots-scroll-container';
+  const scroll = document.createElement('div');
+  scroll.className = 'screenshots-scroll';
+  scroll.setAttribute('role', 'list');
+  scrollContainer.appendChild(scroll);
+  box.appendChild(scrollContainer);
+
+  /**
+   * Fills the strip with one device's screenshots.
+   * @param {string} device - 'iphone' or 'ipad'.
+   */
+  function show(device) {
+    scroll.innerHTML = '';
+    scrollContainer.scrollLeft = 0;
+    head.querySelectorAll('button').forEach(b => b.setAttribute('aria-pressed', String(b.dataset.device === device)));
+    const shots = sets[device];
+    shots.forEach((shot, i) => {
+      const cell = document.createElement('button');
+      cell.className = `screenshot-cell ${device}`;
+      cell.setAttribute('role', 'listitem');
+      cell.setAttribute('aria-label', `Open screenshot ${i + 1} of ${shots.length}`);
+      // Reserve the right box before the image arrives; unknown sizes settle on load
+      if (shot.width && shot.height) cell.style.aspectRatio = `${shot.width} / ${shot.height}`;
+      const img = document.createElement('img');
+      img.loading = 'lazy';
+      img.alt = '';
+      img.src = shot.imageURL;
+      img.addEventListener('load', () => {
+        if (!(shot.width && shot.height)) cell.style.aspectRatio = `${img.naturalWidth} / ${img.naturalHeight}`;
+        cell.classList.add('loaded');
+      });
+      cell.appendChild(img);
+      cell.addEventListener('click', () => openLightbox(shots, i));
+      scroll.appendChild(cell);
+    });
+  }
+
+  if (devices.length > 1) {
+    const toggle = document.createElement('div');
+    toggle.className = 'segmented';
+    toggle.setAttribute('role', 'group');
+    toggle.setAttribute('aria-label', 'Device');
+    devices.forEach(d => {
+      const b = document.createElement('button');
+      b.dataset.device = d;
+      b.textContent = d === 'ipad' ? 'iPad' : 'iPhone';
+      b.addEventListener('click', () => show(d));
+      toggle.appendChild(b);
+    });
+    head.appendChild(toggle);
+  }
+  show(getDeviceProfile().family === 'ipad' && sets.ipad?.length ? 'ipad' : devices[0]);
+}
+
+/**
+ * Renders the entitlements, privacy descriptions and legacy permissions of a version,
+ * marking sensitive entitlements and what changed since the previous version.
+ * @param {object} app - The merged app, versions sorted newest first.
+ * @param {object|undefined} v - The selected version.
+ */
+function renderPermissions(app, v) {
+  const box = $('#permissions');
+  box.innerHTML = '';
+  const prev = v ? app.versions[app.versions.indexOf(v) + 1] : null;
+  const list = x => listPermissions(x?.appPermissions || app.appPermissions, app.permissions);
+  const current = list(v);
+  // Versions without their own data share the app-level list, so there is nothing to compare
+  const diff = prev && (v.appPermissions || prev.appPermissions) ? diffPermissions(current, list(prev)) : null;
+  const added = new Set(diff ? diff.added.map(p => p.id) : []);
+  if (!current.length && !diff?.removed.length) {
+    box.parentElement.hidden = true;
+    return;
+  }
+  box.parentElement.hidden = false;
+
+  const title = document.createElement('h2');
+  title.textContent = 'Permissions';
+  box.appendChild(title);
+
+  const sensitive = current.filter(p => p.sensitive).length;
+  const notes = [];
+  if (sensitive) notes.push(`${sensitive} sensitive entitlement${sensitive === 1 ? '' : 's'}`);
+  if (diff) {
+    const label = prev.version || 'the previous version';
+    notes.push(diff.added.length || diff.removed.length
+      ? `${diff.added.length} added, ${diff.removed.length} removed since ${label}`
+      : `No changes since ${label}`);
+  }
+  if (notes.length) {
+    const summary = document.createElement('div');
+    summary.className = 'small';
+    summary.textContent = notes.join(' · ');
+    box.appendChild(summary);
+  }
+
+  const groups = [['entitlement', 'Entitlements'], ['privacy', 'Privacy'], ['legacy', 'Other permissions']];
+  groups.forEach(([kind, heading]) => {
+    const items = current.filter(p => p.kind === kind);
+    if (!items.length) return;
+    const h = document.createElement('div');
+    h.className = 'perm-heading';
+    h.textContent = heading;
+    box.appendChild(h);
+    items.forEach(p => box.appendChild(permissionRow(p, added.has(p.id) ? 'added' : '')));
+  });
+
+  if (diff?.removed.length) {
+    const h = document.createElement('div');
+    h.className = 'perm-heading';
+    h.textContent = `Removed since ${prev.version || 'the previous version'}`;
+    box.appendChild(h);
+    diff.removed.forEach(p => box.appendChild(permissionRow(p, 'removed')));
+  }
+}
+
+/**
+ * Builds one permission row.
+ * @param {object} p - The permission entry from listPermissions.
+ * @param {''|'added'|'removed'} change - How it changed since the previous version.
+ * @returns {HTMLElement} The row.
+ */
+function permissionRow(p, change) {
+  const row = document.createElement('div');
+  row.className = 'row perm-row' + (change ? ` perm-${change}` : '') + (p.sensitive ? ' perm-sensitive' : '');
+  const label = document.createElement('div');
+  label.className = 'label';
+  label.textContent = p.name;
+  label.title = p.key;
+  const value = document.createElement('div');
+  value.className = 'value';
+  const text = [p.usage, p.description].filter(Boolean).join(' — ');
+  if (text) value.appendChild(document.createTextNode(text));
+  const badges = [];
+  if (p.sensitive) badges.push(['Sensitive', 'perm-badge-sensitive']);
+  if (change === 'added') badges.push(['New', 'perm-badge-added']);
+  if (change === 'removed') badges.push(['Removed', 'perm-badge-removed']);
+  badges.forEach(([t, cls]) => {
+    const b = document.createElement('span');
+    b.className = `badge ${cls}`;
+    b.textContent = t;
+    value.appendChild(b);
+  });
+  const showValue = p.value !== undefined && p.value !== true;
+  if (p.name !== p.key || showValue) {
+    const key = document.createElement('div');
+    key.className = 'small diag-path';
+    key.textContent = showValue ? `${p.key}: ${JSON.stringify(p.value)}` : p.key;
+    value.appendChild(key);
+  }
+  row.appendChild(label);
+  row.appendChild(value);
+  return row;
+}
+
+/**
+ * Points the download button at the default install target and fills the "Open in…" menu.
+ * @param {object} app - The app.
+ * @param {object|null} v - The selected version, with the download URL to use.
+ */
+function renderInstall(app, v) {
+  const dl = $('#downloadBtn');
+  const menu = $('#installMenu');
+  const targets = listTargets().filter(t => t.enabled || t.isDefault);
+  const links = targets.map(t => ({ t, href: v ? buildInstallLink(t, app, v) : '' }));
+
+  const main = links.find(l => l.t.isDefault && l.href) || links.find(l => l.t.id === 'direct' && l.href);
+  // Without a usable link the button stays visible but does nothing
+  if (main) dl.href = main.href;
+  else dl.removeAttribute('href');
+  dl.setAttribute('aria-disabled', String(!main));
+  dl.textContent = !main || main.t.id === 'direct' ? 'Download' : `Open in ${main.t.label}`;
+
+  menu.innerHTML = '';
+  links.forEach(({ t, href }) => {
+    const row = document.createElement('div');
+    row.className = 'row';
+    const a = document.createElement('a');
+    a.className = 'pill no-underline';
+    a.textContent = t.label + (t.isDefault ? ' (default)' : '');
+    const note = document.createElement('div');
+    note.className = 'small';
+    if (href) {
+      a.href = href;
+    } else if (t.id === 'itms' && href === '' && v?.downloadURL) {
+      // Without a manifest host, offer the generated plist so it can be hosted elsewhere
+      a.href = '#';
+      a.textContent = `${t.label}: download manifest.plist`;
+      note.textContent = 'Host it over HTTPS, or set a manifest host in Sources settings.';
+      a.addEventListener('click', e => {
+        e.preventDefault();
+        const blob = new Blob([buildManifestPlist(app, v)], { type: 'application/xml' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'manifest.plist';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+      });
+    } else {
+      return;
+    }
+    row.appendChild(a);
+    row.appendChild(note);
+    menu.appendChild(row);
+  });
+  const settings = document.createElement('a');
+  settings.className = 'small';
+  settings.href = 'sources.html#installTargets';
+  settings.textContent = 'Customize install targets…';
+  menu.appendChild(settings);
+}
+
+/**
+ * Wires the watch toggle. Opening a watched app marks its newest version as seen.
+ * @param {object} app - The app object, versions sorted newest first.
+ */
+function setupWatch(app) {
+  const btn = $('#watchBtn');
+  if (!btn || !app.bundleIdentifier) return;
+  const paint = () => {
+    const on = isWatched(app.bundleIdentifier);
+    btn.textContent = on ? 'Watching — tap to stop' : 'Watch for updates';
+    btn.classList.toggle('selected', on);
+  };
+  if (isWatched(app.bundleIdentifier)) markSeen(app.bundleIdentifier, app.versions[0]);
+  btn.addEventListener('click', () => {
+    if (isWatched(app.bundleIdentifier)) unwatch(app.bundleIdentifier);
+    else watch(app);
+    paint();
+  });
+  paint();
+  btn.hidden = false;
+}
+
+/**
+ * Shows an offline notice when the repository could only be served from cache.
+ * @param {object} repo - The fetchRepo result.
+ */
+function renderCacheStatus(repo) {
+  const el = $('#cacheStatus');
+  if (!el) return;
+  el.textContent = repo.offline ? `Offline — showing cached data, last updated ${formatAge(repo.fetchedAt)}` : '';
+  el.hidden = !repo.offline;
+}
+
+// Event listener for the "Open in…" menu
+$('#openInBtn').addEventListener('click', () => {
+  const menu = $('#installMenu');
+  menu.hidden = !menu.hidden;
+  $('#openInBtn').setAttribute('aria-expanded', String(!menu.hidden));
+});
+
 // Start the page initialization
 start();
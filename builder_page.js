@@ -0,0 +1,553 @@
+// Import utility functions and modules
+import { $, qs, fetchJSON } from './utils.js';
+import { ASRepository, resolveRepoURL, detectFormat } from './alt-source-kit.js';
+import { validateSource, summarize } from './validator.js';
+import { buildCard } from './cards.js';
+import { listPermissions } from './permissions.js';
+
+// Constants
+const DRAFT_KEY = 'ripe_builder_draft'; // Key for local storage; app.html?preview=1 reads it too
+
+let draft = loadDraft();
+let previewTimer = null;
+
+/**
+ * Loads the saved draft, or starts an empty source.
+ * @returns {object} The draft source JSON.
+ */
+function loadDraft() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(DRAFT_KEY));
+    if (saved && typeof saved === 'object') return normalize(saved);
+  } catch (_) {}
+  return normalize({});
+}
+
+/**
+ * Runs raw source JSON through the models so the form always edits AltStore v2 fields.
+ * @param {*} data - The raw source.
+ * @returns {object} The normalized source JSON.
+ */
+function normalize(data) {
+  const repo = new ASRepository(data);
+  const json = repo.toJSON();
+  json.featuredApps = json.featuredApps || [];
+  json.news = json.news || [];
+  json.apps.forEach((app, i) => {
+    app.appPermissions = app.appPermissions || {};
+    moveScreenshotURLs(app, repo.apps[i].screenshotURLs);
+  });
+  return json;
+}
+
+/**
+ * Moves legacy `screenshotURLs` into `screenshots`, which is the only field the form edits,
+ * so exporting never drops them.
+ * @param {object} app - The app JSON in the draft.
+ * @param {*} legacy - The app's raw `screenshotURLs`.
+ */
+function moveScreenshotURLs(app, legacy) {
+  const urls = (Array.isArray(legacy) ? legacy : []).filter(u => typeof u === 'string' && u.trim());
+  if (!urls.length) return;
+  const shots = app.screenshots;
+  const list = Array.isArray(shots) ? shots : (shots?.iphone || []);
+  const known = new Set(list.map(x => (typeof x === 'string' ? x : x?.imageURL)));
+  const merged = list.concat(urls.filter(u => !known.has(u)));
+  if (shots && !Array.isArray(shots)) app.screenshots = { ...shots, iphone: merged };
+  else app.screenshots = merged;
+}
+
+/**
+ * Saves the draft and schedules a preview refresh.
+ */
+function saveDraft() {
+  try {
+    localStorage.setItem(DRAFT_KEY, JSON.stringify(draft));
+  } catch (e) {
+    console.warn('Could not save the builder draft', e);
+  }
+  clearTimeout(previewTimer);
+  previewTimer = setTimeout(renderOutput, 250);
+}
+
+/**
+ * Replaces the draft with a loaded source.
+ * @param {*} data - The raw source.
+ */
+function setDraft(data) {
+  const format = detectFormat(data);
+  draft = normalize(data);
+  saveDraft();
+  renderForm();
+  const status = $('#loadStatus');
+  status.textContent = format === 'altstore-v2' ? '' : `Converted from the ${format} layout.`;
+  status.hidden = !status.textContent;
+}
+
+/**
+ * Creates a labelled form row.
+ * @param {string} label - The label text.
+ * @param {HTMLElement} control - The input element.
+ * @returns {HTMLElement} The row.
+ */
+function row(label, control) {
+  const r = document.createElement('label');
+  r.className = 'row';
+  const l = document.createElement('div');
+  l.className = 'label';
+  l.textContent = label;
+  const v = document.createElement('div');
+  v.className = 'value';
+  v.appendChild(control);
+  r.appendChild(l);
+  r.appendChild(v);
+  return r;
+}
+
+/**
+ * Creates an input bound to a field of a draft object.
+ * @param {object} obj - The object being edited.
+ * @param {string} key - The field name.
+ * @param {string} label - The label text.
+ * @param {object} [opts]
+ * @param {string} [opts.type] - 'text', 'number', 'date', 'checkbox' or 'textarea'.
+ * @param {string} [opts.placeholder] - Placeholder text.
+ * @param {Function} [opts.onInput] - Called after the value changes.
+ * @returns {HTMLElement} The form row.
+ */
+function field(obj, key, label, { type = 'text', placeholder = '', onInput } = {}) {
+  let input;
+  if (type === 'textarea') {
+    input = document.createElement('textarea');
+    input.className = 'input textarea';
+  } else {
+    input = document.createElement('input');
+    input.type = type;
+    if (type !== 'checkbox') input.className = 'input';
+  }
+  if (type === 'checkbox') input.checked = !!obj[key];
+  else input.value = obj[key] ?? '';
+  input.placeholder = placeholder;
+  input.addEventListener(type === 'checkbox' ? 'change' : 'input', () => {
+    if (type === 'checkbox') obj[key] = input.checked;
+    else if (type === 'number') obj[key] = Number(input.value) || 0;
+    else obj[key] = input.value;
+    saveDraft();
+    if (onInput) onInput();
+  });
+  return row(label, input);
+}
+
+/**
+ * Creates a textarea editing an array of strings, one per line.
+ * @param {object} obj - The object being edited.
+ * @param {string} key - The array field name.
+ * @param {string} label - The label text.
+ * @param {string} [placeholder] - Placeholder text.
+ * @returns {HTMLElement} The form row.
+ */
+function listField(obj, key, label, placeholder = '') {
+  const input = document.createElement('textarea');
+  input.className = 'input textarea';
+  input.placeholder = placeholder;
+  input.value = (obj[key] || []).map(x => (typeof x === 'string' ? x : x?.name || '')).join('\n');
+  input.addEventListener('input', () => {
+    obj[key] = input.value.split('\n').map(s => s.trim()).filter(Boolean);
+    saveDraft();
+  });
+  return row(label, input);
+}
+
+/**
+ * Creates a textarea editing entitlement keys, one per line.
+ * Sources list entitlements as keys, as `{ name, value }` objects or as a key/value map;
+ * edits are saved in the shape the source already uses, keeping known values.
+ * @param {object} perms - The app's appPermissions object.
+ * @returns {HTMLElement} The form row.
+ */
+function entitlementsField(perms) {
+  const entries = listPermissions({ entitlements: perms.entitlements });
+  const values = new Map(entries.map(p => [p.key, p.value]));
+  const input = document.createElement('textarea');
+  input.className = 'input textarea';
+  input.placeholder = 'com.apple.developer.networking.wifi-info';
+  input.value = entries.map(p => p.key).join('\n');
+  input.addEventListener('input', () => {
+    const keys = [...new Set(input.value.split('\n').map(s => s.trim()).filter(Boolean))];
+    const current = perms.entitlements;
+    if (current && typeof current === 'object' && !Array.isArray(current)) {
+      perms.entitlements = Object.fromEntries(keys.map(k => [k, values.get(k) ?? true]));
+    } else if (Array.isArray(current) && current.some(e => e && typeof e === 'object')) {
+      perms.entitlements = keys.map(k => (values.get(k) === undefined ? { name: k } : { name: k, value: values.get(k) }));
+    } else {
+      perms.entitlements = keys;
+    }
+    saveDraft();
+  });
+  return row('Entitlements', input);
+}
+
+/**
+ * Creates a textarea editing privacy usage descriptions as "Key: description" lines.
+ * Privacy may be a key/description map or an array of `{ name, usageDescription }`;
+ * edits are saved in the shape the source already uses.
+ * @param {object} perms - The app's appPermissions object.
+ * @returns {HTMLElement} The form row.
+ */
+function privacyField(perms) {
+  const input = document.createElement('textarea');
+  input.className = 'input textarea';
+  input.placeholder = 'NSCameraUsageDescription: Scan QR codes';
+  input.value = listPermissions({ privacy: perms.privacy }).map(p => `${p.key}: ${p.usage}`).join('\n');
+  input.addEventListener('input', () => {
+    const pairs = [];
+    input.value.split('\n').forEach(line => {
+      const i = line.indexOf(':');
+      if (i > 0) pairs.push([line.slice(0, i).trim(), line.slice(i + 1).trim()]);
+    });
+    perms.privacy = Array.isArray(perms.privacy)
+      ? pairs.map(([name, usageDescription]) => ({ name, usageDescription }))
+      : Object.fromEntries(pairs);
+    saveDraft();
+  });
+  return row('Privacy', input);
+}
+
+/**
+ * Creates a small action button.
+ * @param {string} label - The button text.
+ * @param {Function} onClick - The click handler.
+ * @returns {HTMLButtonElement} The button.
+ */
+function actionButton(label, onClick) {
+  const b = document.createElement('button');
+  b.type = 'button';
+  b.className = 'pill';
+  b.textContent = label;
+  b.addEventListener('click', onClick);
+  return b;
+}
+
+/**
+ * Creates a collapsible editor section.
+ * @param {string} title - The initial summary text.
+ * @param {boolean} open - Whether it starts expanded.
+ * @returns {{el: HTMLDetailsElement, body: HTMLElement, setTitle: Function}} The section parts.
+ */
+function section(title, open) {
+  const el = document.createElement('details');
+  el.className = 'block builder-item';
+  el.open = open;
+  const summary = document.createElement('summary');
+  summary.textContent = title;
+  const body = document.createElement('div');
+  body.className = 'rows';
+  el.appendChild(summary);
+  el.appendChild(body);
+  return { el, body, setTitle: t => { summary.textContent = t; } };
+}
+
+/**
+ * Returns today's date in the ISO format AltStore expects.
+ * @returns {string} The date, e.g. "2024-05-01".
+ */
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Renders the whole form from the draft.
+ */
+function renderForm() {
+  const repoForm = $('#repoForm');
+  repoForm.innerHTML = '';
+  const rows = document.createElement('div');
+  rows.className = 'rows';
+  rows.appendChild(field(draft, 'name', 'Name'));
+  rows.appendChild(field(draft, 'identifier', 'Identifier', { placeholder: 'com.example.source' }));
+  rows.appendChild(field(draft, 'subtitle', 'Subtitle'));
+  rows.appendChild(field(draft, 'description', 'Description', { type: 'textarea' }));
+  rows.appendChild(field(draft, 'iconURL', 'Icon URL'));
+  rows.appendChild(field(draft, 'headerURL', 'Header URL'));
+  rows.appendChild(field(draft, 'website', 'Website'));
+  rows.appendChild(field(draft, 'patreonURL', 'Patreon URL'));
+  rows.appendChild(field(draft, 'tintColor', 'Tint color', { placeholder: '#34C759' }));
+  rows.appendChild(listField(draft, 'featuredApps', 'Featured apps', 'One bundle ID per line'));
+  repoForm.appendChild(rows);
+
+  const appsForm = $('#appsForm');
+  appsForm.innerHTML = '';
+  draft.apps.forEach((app, i) => appsForm.appendChild(appEditor(app, i)));
+
+  const newsForm = $('#newsForm');
+  newsForm.innerHTML = '';
+  draft.news.forEach(n => newsForm.appendChild(newsEditor(n)));
+
+  renderOutput();
+}
+
+/**
+ * Builds the editor for one app.
+ * @param {object} app - The app in the draft.
+ * @param {number} i - Its index.
+ * @param {boolean} [open] - Whether it starts expanded.
+ * @returns {HTMLElement} The editor.
+ */
+function appEditor(app, i, open = false) {
+  const title = () => app.name || app.bundleIdentifier || 'Untitled app';
+  const s = section(title(), open);
+  const onInput = () => s.setTitle(title());
+  s.body.appendChild(field(app, 'name', 'Name', { onInput }));
+  s.body.appendChild(field(app, 'bundleIdentifier', 'Bundle ID', { placeholder: 'com.example.app', onInput }));
+  s.body.appendChild(field(app, 'developerName', 'Developer'));
+  s.body.appendChild(field(app, 'subtitle', 'Subtitle'));
+  s.body.appendChild(field(app, 'localizedDescription', 'Description', { type: 'textarea' }));
+  s.body.appendChild(field(app, 'iconURL', 'Icon URL'));
+  s.body.appendChild(field(app, 'tintColor', 'Tint color'));
+  s.body.appendChild(field(app, 'category', 'Category', { placeholder: 'utilities' }));
+  s.body.appendChild(field(app, 'beta', 'Beta', { type: 'checkbox' }));
+  // Structured screenshot sets (sized objects, iphone/ipad) are kept as loaded
+  if (!app.screenshots || (Array.isArray(app.screenshots) && app.screenshots.every(x => typeof x === 'string'))) {
+    s.body.appendChild(listField(app, 'screenshots', 'Screenshots', 'One image URL per line'));
+  }
+  s.body.appendChild(entitlementsField(app.appPermissions));
+  s.body.appendChild(privacyField(app.appPermissions));
+
+  const versions = document.createElement('div');
+  versions.className = 'builder-list';
+  app.versions.forEach(v => versions.appendChild(versionEditor(app, v)));
+  s.body.appendChild(versions);
+
+  const actions = document.createElement('div');
+  actions.className = 'button-row';
+  actions.appendChild(actionButton('Add version', () => {
+    const latest = app.versions[0] || {};
+    app.versions.unshift({ version: '', date: today(), downloadURL: '', size: 0, minOSVersion: latest.minOSVersion || '' });
+    saveDraft();
+    versions.prepend(versionEditor(app, app.versions[0], true));
+  }));
+  actions.appendChild(actionButton('Move up', () => {
+    if (i === 0) return;
+    draft.apps.splice(i - 1, 0, draft.apps.splice(i, 1)[0]);
+    saveDraft();
+    renderForm();
+  }));
+  actions.appendChild(actionButton('Remove app', () => {
+    if (!confirm(`Remove ${title()}?`)) return;
+    draft.apps.splice(i, 1);
+    saveDraft();
+    renderForm();
+  }));
+  s.body.appendChild(actions);
+  return s.el;
+}
+
+/**
+ * Builds the editor for one version.
+ * @param {object} app - The app that owns the version.
+ * @param {object} v - The version in the draft.
+ * @param {boolean} [open] - Whether it starts expanded.
+ * @returns {HTMLElement} The editor.
+ */
+function versionEditor(app, v, open = false) {
+  const title = () => `Version ${v.version || '(new)'}${v.date ? ' — ' + v.date : ''}`;
+  const s = section(title(), open);
+  const onInput = () => s.setTitle(title());
+  s.body.appendChild(field(v, 'version', 'Version', { placeholder: '1.0.0', onInput }));
+  s.body.appendChild(field(v, 'buildVersion', 'Build'));
+  s.body.appendChild(field(v, 'date', 'Date', { placeholder: '2024-05-01', onInput }));
+  s.body.appendChild(field(v, 'downloadURL', 'Download URL'));
+  s.body.appendChild(field(v, 'size', 'Size (bytes)', { type: 'number' }));
+  s.body.appendChild(field(v, 'minOSVersion', 'Min iOS'));
+  s.body.appendChild(field(v, 'maxOSVersion', 'Max iOS'));
+  s.body.appendChild(field(v, 'localizedDescription', 'Notes', { type: 'textarea' }));
+  const actions = document.createElement('div');
+  actions.className = 'button-row';
+  actions.appendChild(actionButton('Remove version', () => {
+    app.versions.splice(app.versions.indexOf(v), 1);
+    saveDraft();
+    s.el.remove();
+  }));
+  s.body.appendChild(actions);
+  return s.el;
+}
+
+/**
+ * Builds the editor for one news item.
+ * @param {object} n - The news item in the draft.
+ * @param {boolean} [open] - Whether it starts expanded.
+ * @returns {HTMLElement} The editor.
+ */
+function newsEditor(n, open = false) {
+  const title = () => n.title || n.identifier || 'Untitled news';
+  const s = section(title(), open);
+  const onInput = () => s.setTitle(title());
+  s.body.appendChild(field(n, 'title', 'Title', { onInput }));
+  s.body.appendChild(field(n, 'identifier', 'Identifier'));
+  s.body.appendChild(field(n, 'caption', 'Caption', { type: 'textarea' }));
+  s.body.appendChild(field(n, 'date', 'Date', { placeholder: '2024-05-01' }));
+  s.body.appendChild(field(n, 'tintColor', 'Tint color'));
+  s.body.appendChild(field(n, 'imageURL', 'Image URL'));
+  s.body.appendChild(field(n, 'url', 'Link URL'));
+  s.body.appendChild(field(n, 'appID', 'App bundle ID'));
+  s.body.appendChild(field(n, 'notify', 'Notify', { type: 'checkbox' }));
+  const actions = document.createElement('div');
+  actions.className = 'button-row';
+  actions.appendChild(actionButton('Remove news', () => {
+    draft.news.splice(draft.news.indexOf(n), 1);
+    saveDraft();
+    s.el.remove();
+  }));
+  s.body.appendChild(actions);
+  return s.el;
+}
+
+/**
+ * Serializes the draft through the models.
+ * @returns {object} The AltStore source JSON.
+ */
+function exportSource() {
+  return new ASRepository(draft).toJSON();
+}
+
+/**
+ * Renders the validation report and the card preview.
+ */
+function renderOutput() {
+  const json = exportSource();
+  const diags = validateSource(json);
+  const { errors, warnings } = summarize(diags);
+
+  const summary = $('#summary');
+  summary.textContent = '';
+  const title = document.createElement('div');
+  title.className = 'title ellipsis';
+  title.textContent = `${json.name || 'Untitled source'} · ${json.apps.length} app${json.apps.length === 1 ? '' : 's'}`;
+  const counts = document.createElement('div');
+  counts.className = 'sub';
+  counts.textContent = errors || warnings
+    ? `${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'}`
+    : 'No problems found';
+  summary.appendChild(title);
+  summary.appendChild(counts);
+
+  const report = $('#report');
+  report.innerHTML = '';
+  diags.forEach(d => {
+    const r = document.createElement('div');
+    r.className = 'row diag';
+    const badge = document.createElement('div');
+    badge.className = `badge diag-${d.level}`;
+    badge.textContent = d.level;
+    const val = document.createElement('div');
+    val.className = 'value';
+    const msg = document.createElement('div');
+    msg.textContent = d.message;
+    const path = document.createElement('div');
+    path.className = 'small diag-path';
+    path.textContent = d.path;
+    val.appendChild(msg);
+    val.appendChild(path);
+    r.appendChild(badge);
+    r.appendChild(val);
+    report.appendChild(r);
+  });
+  report.parentElement.hidden = !diags.length;
+
+  // Cards open app.html in preview mode, which renders the saved draft
+  const preview = $('#preview');
+  preview.innerHTML = '';
+  new ASRepository(json).apps.forEach(app => {
+    const card = buildCard({ ...app, source: 'preview' });
+    const params = new URLSearchParams({ bundle: app.bundleIdentifier, preview: '1' });
+    card.href = 'app.html?' + params.toString();
+    card.target = '_blank';
+    preview.appendChild(card);
+  });
+}
+
+/**
+ * Loads a source from a URL into the form.
+ * @param {string} src - The source URL or short name.
+ */
+async function loadFromURL(src) {
+  const status = $('#loadStatus');
+  status.hidden = false;
+  status.textContent = 'Loading…';
+  try {
+    setDraft(await fetchJSON(resolveRepoURL(src)));
+  } catch (e) {
+    status.textContent = `Could not load source: ${e.message}`;
+  }
+}
+
+// Event listeners for loading
+$('#loadBtn').addEventListener('click', () => {
+  const v = $('#loadUrl').value.trim();
+  if (!v) return;
+  if (draft.apps.length && !confirm('Replace the current draft?')) return;
+  history.replaceState(null, '', 'builder.html?' + new URLSearchParams({ url: v }).toString());
+  loadFromURL(v);
+});
+$('#loadFile').addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+  if (draft.apps.length && !confirm('Replace the current draft?')) return;
+  try {
+    setDraft(JSON.parse(await file.text()));
+  } catch (err) {
+    const status = $('#loadStatus');
+    status.hidden = false;
+    status.textContent = `Could not read ${file.name}: ${err.message}`;
+  }
+});
+$('#newBtn').addEventListener('click', () => {
+  if (!confirm('Start a new source? The current draft will be discarded.')) return;
+  history.replaceState(null, '', 'builder.html');
+  setDraft({});
+});
+
+// Event listeners for adding apps and news
+$('#addAppBtn').addEventListener('click', () => {
+  draft.apps.push({ name: '', bundleIdentifier: '', developerName: '', versions: [{ version: '', date: today(), downloadURL: '', size: 0 }], appPermissions: {} });
+  saveDraft();
+  $('#appsForm').appendChild(appEditor(draft.apps[draft.apps.length - 1], draft.apps.length - 1, true));
+});
+$('#addNewsBtn').addEventListener('click', () => {
+  draft.news.unshift({ title: '', identifier: '', date: today(), notify: false });
+  saveDraft();
+  $('#newsForm').prepend(newsEditor(draft.news[0], true));
+});
+
+// Event listeners for exporting
+$('#downloadBtn').addEventListener('click', () => {
+  const json = exportSource();
+  const blob = new Blob([JSON.stringify(json, null, 2)], { type: 'application/json' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = `${json.identifier || 'source'}.json`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+});
+$('#copyBtn').addEventListener('click', async () => {
+  const btn = $('#copyBtn');
+  try {
+    await navigator.clipboard.writeText(JSON.stringify(exportSource(), null, 2));
+    btn.textContent = 'Copied';
+  } catch (_) {
+    btn.textContent = 'Copy failed';
+  }
+  setTimeout(() => { btn.textContent = 'Copy JSON'; }, 1500);
+});
+
+// Load the source passed in the URL, or continue the saved draft
+const initial = qs('url');
+if (initial) {
+  $('#loadUrl').value = initial;
+  loadFromURL(initial);
+} else {
+  renderForm();
+}
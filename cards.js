@@ -0,0 +1,87 @@
+// App card rendering shared by the pages that list apps.
+
+// Import utility functions and modules
+import { ellipsize } from './utils.js';
+import { highlight } from './search.js';
+import { isAppCompatible } from './device.js';
+
+/**
+ * Builds an app card element.
+ * @param {object} a - The app object.
+ * @returns {HTMLElement} The app card element.
+ */
+export function buildCard(a) {
+  const card = document.createElement('a');
+  card.className = 'card no-underline';
+  if (!isAppCompatible(a)) {
+    card.classList.add('incompatible');
+    card.title = 'No version runs on your device';
+  }
+  const versionLabel = a._verEntry ? a._verEntry.version : (a._isVersion ? a.version : (a.versions?.[0]?.version || ''));
+  const m = a._matches || {};
+  const link = makeLink(a, versionLabel);
+  card.href = link;
+  card.setAttribute('role', 'listitem');
+
+  const icon = document.createElement('div');
+  icon.className = 'icon-wrap';
+  const img = document.createElement('img');
+  img.loading = 'lazy';
+  img.alt = (a.name || a.bundleIdentifier) + ' icon';
+  img.src = a.iconURL || 'data:image/gif;base64,R0lGODlhAQABAAAAACw=';
+  icon.appendChild(img);
+
+  const meta = document.createElement('div');
+  meta.className = 'meta';
+  const title = document.createElement('div');
+  title.className = 'title ellipsis';
+  highlight(title, a.name || a.bundleIdentifier, a.name ? m.name : m.bundleIdentifier);
+  const sub = document.createElement('div');
+  sub.className = 'sub ellipsis';
+  const subField = a.subtitle ? 'subtitle' : (a.developerName ? 'developerName' : 'bundleIdentifier');
+  highlight(sub, a[subField], m[subField]);
+  const ver = document.createElement('div');
+  ver.className = 'small ellipsis';
+  if (versionLabel) {
+    const label = ellipsize(versionLabel, 48);
+    const ranges = versionLabel === a.version ? m.version : null;
+    highlight(ver, label, ranges);
+    ver.insertBefore(document.createTextNode('Version '), ver.firstChild);
+  }
+  const snippet = document.createElement('div');
+  snippet.className = 'desc-snippet ellipsis';
+
+  const notes = a._verEntry?.notes || a.localizedDescription || '';
+  highlight(snippet, ellipsize(notes, 120), notes === a.localizedDescription ? m.localizedDescription : null);
+
+  meta.appendChild(title);
+  meta.appendChild(sub);
+  meta.appendChild(ver);
+  meta.appendChild(snippet);
+
+  const right = document.createElement('div');
+  right.className = 'right';
+  const pill = document.createElement('div');
+  pill.className = 'pill';
+  pill.textContent = 'View';
+  right.appendChild(pill);
+
+  card.appendChild(icon);
+  card.appendChild(meta);
+  card.appendChild(right);
+  return card;
+}
+
+/**
+ * Creates a link to the app details page.
+ * @param {object} a - The app object.
+ * @param {string} version - The app version.
+ * @returns {string} The URL for the app details page.
+ */
+export function makeLink(a, version) {
+  const params = new URLSearchParams();
+  params.set('bundle', a.bundleIdentifier);
+  if (version) params.set('version', version);
+  params.set('repo', a.source);
+  return 'app.html?' + params.toString();
+}
@@ -0,0 +1,100 @@
+// Main-thread handle on the catalog pipeline.
+// Prefers a module worker; falls back to running catalog-engine.js in-page
+// if the worker cannot start.
+
+/**
+ * Creates a catalog client.
+ * @param {Function} onEvent - Receives streamed 'progress', 'source', 'failed', 'revalidated' and 'done' messages.
+ * @returns {{load: Function, query: Function}} The client.
+ */
+export function createCatalogClient(onEvent) {
+  const queue = []; // Messages posted before the engine is ready
+  const waiting = new Map(); // Query id -> resolve
+  let nextId = 0;
+  let send = null;
+  let fellBack = false;
+
+  /**
+   * Routes a message coming back from the engine.
+   * @param {object} msg - The message.
+   */
+  function receive(msg) {
+    if (msg.type === 'ready') return;
+    if (msg.type === 'result') {
+      const resolve = waiting.get(msg.id);
+      waiting.delete(msg.id);
+      if (resolve) resolve(msg);
+      return;
+    }
+    onEvent(msg);
+  }
+
+  /**
+   * Runs the engine on the main thread and replays queued messages.
+   */
+  async function fallBack() {
+    if (fellBack) return;
+    fellBack = true;
+    const { createCatalogEngine } = await import('./catalog-engine.js');
+    const engine = createCatalogEngine(msg => setTimeout(() => receive(msg)));
+    send = msg => engine.handle(msg);
+    queue.splice(0).forEach(send);
+  }
+
+  try {
+    const worker = new Worker('catalog-worker.js', { type: 'module' });
+    worker.addEventListener('message', e => {
+      if (e.data?.type === 'ready' && !fellBack) {
+        send = msg => worker.postMessage(msg);
+        queue.splice(0).forEach(send);
+      }
+      if (!fellBack) receive(e.data);
+    });
+    worker.addEventListener('error', e => {
+      if (send && !fellBack) return; // Errors after startup are reported by the engine itself
+      console.warn('Catalog worker unavailable, running on the main thread', e);
+      worker.terminate();
+      fallBack();
+    });
+  } catch (e) {
+    console.warn('Catalog worker unavailable, running on the main thread', e);
+    fallBack();
+  }
+
+  /**
+   * Posts a message, queueing it until the engine is ready.
+   * @param {object} msg - The message.
+   */
+  function post(msg) {
+    if (send) send(msg);
+    else queue.push(msg);
+  }
+
+  return {
+    /**
+     * Loads all sources; progress arrives through `onEvent`.
+     * @param {string[]} sources - The source URLs.
+     * @param {number} maxAge - The cache max age in ms.
+     * @param {object} [network] - Fetch settings (timeout, retries, concurrency, proxy), which the worker cannot read itself.
+     */
+    load(sources, maxAge, network) {
+      post({ type: 'load', sources, maxAge, network });
+    },
+
+    /**
+     * Searches, filters and sorts the merged catalog.
+     * @param {string} q - The search query.
+     * @param {string} sort - The sort mode.
+     * @param {Object<string, string[]>} [filters] - Facet selection: facet key -> chosen values.
+     * @param {object|null} [device] - The device profile to leave out incompatible apps for, which the worker cannot read itself.
+     * @returns {Promise<{flat: boolean, refs: Array, facets: object, loadId: number}>} References into the merged apps of load `loadId`, and facet counts.
+     */
+    query(q, sort, filters = {}, device = null) {
+      const id = ++nextId;
+      return new Promise(resolve => {
+        waiting.set(id, resolve);
+        post({ type: 'query', id, q, sort, filters, device });
+      });
+    }
+  };
+}
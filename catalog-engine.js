@@ -0,0 +1,143 @@
+// The catalog pipeline: fetch and parse sources, index them for search,
+// merge them by bundle ID, and answer search/sort queries.
+//
+// It runs inside catalog-worker.js, or on the main thread when workers are
+// unavailable. Either way it only talks through `emit`, so results never
+// depend on where it runs.
+
+import { fetchRepo } from './alt-source-kit.js';
+import { configureFetch } from './network.js';
+import { mergeByBundle, sortApps, itemDate } from './catalog.js';
+import { applyFacets } from './facets.js';
+import { initSearch, addApps, searchApps } from './search.js';
+import { isAppCompatible } from './device.js';
+
+/**
+ * Creates a catalog engine.
+ * @param {Function} emit - Receives every outgoing message.
+ * @returns {{handle: Function}} The engine; `handle` takes incoming messages.
+ */
+export function createCatalogEngine(emit) {
+  let merged = []; // Apps merged by bundle ID, as last sent with 'done'
+  let loadId = 0; // Increments per load so stale results can be ignored
+  let mergedId = 0; // The load `merged` belongs to; 0 while a load is running
+  let controller = null; // Aborts the fetches of the current load
+
+  /**
+   * Loads every source, streaming each one back as it arrives.
+   * A new load cancels the fetches still running for the previous one.
+   * @param {{sources: string[], maxAge: number, network?: object}} msg - The load request, with the page's fetch settings.
+   */
+  async function load({ sources, maxAge, network }) {
+    const id = ++loadId;
+    const all = [];
+    // Queries during the load must not hand out refs into the previous catalog
+    merged = [];
+    mergedId = 0;
+    if (controller) controller.abort();
+    controller = new AbortController();
+    const { signal } = controller;
+    if (network) configureFetch(network);
+    initSearch();
+
+    await Promise.all(sources.map(async (src) => {
+      try {
+        const out = await fetchRepo(src, {
+          maxAge,
+          signal,
+          onRevalidate: r => emit({ type: 'revalidated', meta: metaOf(r) }),
+          onProgress: p => emit({ type: 'progress', loadId: id, src, phase: p.phase, attempt: p.attempt, proxied: p.proxied, error: p.error || '' })
+        });
+        if (id !== loadId) return;
+        const apps = out.data.apps.map(app => ({ ...app, source: out.url, sourceName: out.data.name }));
+        addApps(apps);
+        all.push(...apps);
+        emit({ type: 'source', loadId: id, src, apps, meta: metaOf(out) });
+      } catch (e) {
+        if (id === loadId) emit({ type: 'failed', loadId: id, src, message: e?.message || String(e) });
+      }
+    }));
+
+    if (id !== loadId) return;
+    merged = mergeByBundle(all);
+    mergedId = id;
+    emit({ type: 'done', loadId: id, merged });
+  }
+
+  /**
+   * Runs a search/facet/sort query against the merged catalog.
+   * Results are sent as references into `merged` to keep messages small:
+   * `i` is the app index, `v` the version index (-1 for the app itself), and
+   * `loadId` names the load whose merged catalog the refs point into.
+   * @param {{id: number, q: string, sort: string, filters: object, device: object|null}} msg - The query;
+   *   `device` is the page's device profile when incompatible apps are hidden.
+   */
+  function query({ id, q, sort, filters, device }) {
+    q = (q || '').trim();
+    let items;
+
+    if (q) {
+      // When searching, flatten all versions from all merged apps
+      const flat = [];
+      merged.forEach((app, i) => {
+        if (app.versions && app.versions.length) {
+          app.versions.forEach((v, j) => flat.push({ ...app, ...v, _isVersion: true, _ref: [i, j] }));
+        } else {
+          flat.push({ ...app, _isVersion: true, _ref: [i, -1] });
+        }
+      });
+      items = searchApps(q, flat);
+    } else {
+      items = merged.map((app, i) => ({ ...app, _ref: [i, -1] }));
+    }
+
+    // Filter out apps without a date if sorting by version date
+    if (sort === 'version-desc' || sort === 'version-asc') {
+      items = items.filter(a => itemDate(a) !== null);
+    }
+
+    // Hidden apps must not count towards the facets either
+    if (device) items = items.filter(a => isAppCompatible(a, device));
+
+    // Facet counts cover the search results before the facet selection narrows them
+    const faceted = applyFacets(items, filters);
+    items = faceted.items;
+
+    sortApps(items, sort);
+    emit({
+      type: 'result',
+      id,
+      loadId: mergedId,
+      flat: !!q,
+      refs: items.map(a => ({ i: a._ref[0], v: a._ref[1], m: a._matches })),
+      facets: faceted.facets
+    });
+  }
+
+  return {
+    handle(msg) {
+      switch (msg?.type) {
+        case 'load': return load(msg);
+        case 'query': return query(msg);
+        default: return undefined;
+      }
+    }
+  };
+}
+
+/**
+ * Picks the fetchRepo fields the page needs for its status banner.
+ * @param {object} out - A fetchRepo result.
+ * @returns {object} The metadata.
+ */
+function metaOf(out) {
+  return {
+    url: out.url,
+    name: out.data?.name || '',
+    fetchedAt: out.fetchedAt,
+    responseTime: out.responseTime,
+    fromCache: !!out.fromCache,
+    offline: !!out.offline,
+    changed: !!out.changed
+  };
+}
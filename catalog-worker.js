@@ -0,0 +1,17 @@
+// Web Worker entry for the catalog pipeline (see catalog-engine.js).
+// The pages load localforage and Fuse.js as classic scripts; the worker
+// imports the ES module builds of the same versions and hands them over, so
+// caching and search behave identically here.
+
+import localforage from 'https://cdn.jsdelivr.net/npm/localforage@1.10.0/+esm';
+import Fuse from 'https://cdn.jsdelivr.net/npm/fuse.js@6.6.2/dist/fuse.esm.min.js';
+import { setLocalforage } from './repo-cache.js';
+import { setFuse } from './search.js';
+import { createCatalogEngine } from './catalog-engine.js';
+
+setLocalforage(localforage);
+setFuse(Fuse);
+
+const engine = createCatalogEngine(msg => self.postMessage(msg));
+self.addEventListener('message', e => engine.handle(e.data));
+self.postMessage({ type: 'ready' });
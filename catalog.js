@@ -0,0 +1,118 @@
+// The configured source list and the cross-source catalog built from it.
+
+// Import utility functions
+import { parseDateString } from './utils.js';
+import { mergeByBundle, appSources } from './alt-source-core.js';
+
+// Merging lives in the environment-neutral core; re-exported for the pages
+export { mergeByBundle, appSources };
+
+// Constants
+const KEY = 'ripe_sources'; // Key for local storage
+const DEFAULTS = ['RipeStore']; // Default repository source
+
+/**
+ * Retrieves the list of sources from local storage.
+ * @returns {string[]} An array of source URLs.
+ */
+export function getSources() {
+  try {
+    const list = JSON.parse(localStorage.getItem(KEY));
+    return Array.isArray(list) ? list.filter(s => typeof s === 'string' && s) : [...DEFAULTS];
+  } catch (_) {
+    return [...DEFAULTS];
+  }
+}
+
+/**
+ * Saves the list of sources to local storage.
+ * @param {string[]} list - The source URLs or short names.
+ */
+export function setSources(list) {
+  localStorage.setItem(KEY, JSON.stringify(list));
+}
+
+/**
+ * Lists the sources behind a grid item: a version's own sources, or every source of an app.
+ * @param {object} item - A merged app, or a flattened version entry (`_isVersion`).
+ * @returns {{url: string, name: string}[]} The sources.
+ */
+export function itemSources(item) {
+  if (item._isVersion && Array.isArray(item.sources)) return item.sources.map(s => ({ url: s.url, name: s.name }));
+  const list = appSources(item);
+  return list.length || !item.source ? list : [{ url: item.source, name: item.sourceName || item.source }];
+}
+
+/**
+ * Gets the download size of a grid item: the version's, or the newest version's.
+ * @param {object} item - A merged app or a flattened version entry.
+ * @returns {number} The size in bytes, or 0 if unknown.
+ */
+export function itemSize(item) {
+  return Number(item._isVersion ? item.size : item.versions?.[0]?.size) || 0;
+}
+
+/**
+ * Gets the release date of a grid item: the version's, or the newest version's.
+ * @param {object} item - A merged app or a flattened version entry.
+ * @returns {Date|null} The date, or null if unknown.
+ */
+export function itemDate(item) {
+  return parseDateString(item._isVersion ? item.date : item.versions?.[0]?.date);
+}
+
+/**
+ * Sorts an array of apps based on the selected sort mode.
+ * @param {Array} apps - The array of apps to sort.
+ * @param {string} mode - The sorting mode.
+ * @returns {Array} The sorted array of apps.
+ */
+export function sortApps(apps, mode) {
+  const byNameAsc = (a, b) => a.name.localeCompare(b.name);
+  const byNameDesc = (a, b) => b.name.localeCompare(a.name);
+
+  const byVerDesc = (a, b) => {
+    const dateA = itemDate(a);
+    const dateB = itemDate(b);
+    if (dateA && dateB) return dateB.getTime() - dateA.getTime();
+    if (dateA) return -1;
+    if (dateB) return 1;
+    return a.name.localeCompare(b.name);
+  };
+
+  const byVerAsc = (a, b) => {
+    const dateA = itemDate(a);
+    const dateB = itemDate(b);
+    if (dateA && dateB) return dateA.getTime() - dateB.getTime();
+    if (dateA) return 1;
+    if (dateB) return -1;
+    return a.name.localeCompare(b.name);
+  };
+
+  // Unknown sizes and developers go last in either direction
+  const bySize = dir => (a, b) => {
+    const sa = itemSize(a), sb = itemSize(b);
+    if (sa && sb && sa !== sb) return dir * (sa - sb);
+    if (!sa !== !sb) return sa ? -1 : 1;
+    return byNameAsc(a, b);
+  };
+
+  const byDeveloper = (a, b) => {
+    const da = a.developerName || '', db = b.developerName || '';
+    if (!da !== !db) return da ? -1 : 1;
+    return da.localeCompare(db) || byNameAsc(a, b);
+  };
+
+  const bySourceCount = (a, b) => itemSources(b).length - itemSources(a).length || byNameAsc(a, b);
+
+  switch (mode) {
+    case 'name-desc': return apps.sort(byNameDesc);
+    case 'version-desc': return apps.sort(byVerDesc);
+    case 'version-asc': return apps.sort(byVerAsc);
+    case 'size-desc': return apps.sort(bySize(-1));
+    case 'size-asc': return apps.sort(bySize(1));
+    case 'developer-asc': return apps.sort(byDeveloper);
+    case 'sources-desc': return apps.sort(bySourceCount);
+    default: return apps.sort(byNameAsc);
+  }
+}
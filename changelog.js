@@ -0,0 +1,178 @@
+// Snapshots of each source and the changes between them.
+//
+// After every successful network fetch, fetchRepo records a compact snapshot of
+// the source. When it differs from the previous snapshot, the differences are
+// added to that source's changelog, which changes.html and the "since your last
+// visit" banner on Home read back.
+
+import { readSnapshot, writeSnapshot } from './repo-cache.js';
+import { listPermissions } from './permissions.js';
+
+// Constants
+const SEEN_KEY = 'ripe_changes_seen'; // When the changelog was last viewed
+const MAX_ENTRIES = 30; // Changelog entries kept per source
+
+/**
+ * @typedef {object} RepoDiff
+ * @property {{bundle: string, name: string}[]} appsAdded - Apps new to the source.
+ * @property {{bundle: string, name: string}[]} appsRemoved - Apps no longer in the source.
+ * @property {{bundle: string, name: string, version: string}[]} newVersions - Versions new to an existing app.
+ * @property {{bundle: string, name: string, version: string}[]} urlChanges - Versions whose download URL changed.
+ * @property {{bundle: string, name: string, added: string[], removed: string[]}[]} permissionChanges - Entitlement and privacy changes.
+ * @property {{identifier: string, title: string, appID: string}[]} newNews - News items new to the source.
+ */
+
+/**
+ * Lists the permission keys of an app's newest version.
+ * @param {object} app - The app model.
+ * @returns {string[]} The sorted permission keys.
+ */
+function permissionNames(app) {
+  const perms = app.versions[0]?.appPermissions || app.appPermissions;
+  return [...new Set(listPermissions(perms, app.permissions).map(p => p.key))].sort();
+}
+
+/**
+ * Identifies a version within an app; builds of the same version are told apart.
+ * @param {object} v - The version model.
+ * @returns {string} The key, e.g. "1.2 (45)".
+ */
+function versionKey(v) {
+  return v.buildVersion ? `${v.version} (${v.buildVersion})` : v.version;
+}
+
+/**
+ * Reduces a repository to the parts the changelog compares.
+ * @param {object} repo - The ASRepository.
+ * @returns {object} The snapshot.
+ */
+export function snapshotOf(repo) {
+  const apps = {};
+  repo.apps.forEach(app => {
+    if (!app.bundleIdentifier || apps[app.bundleIdentifier]) return;
+    const versions = {};
+    app.versions.forEach(v => {
+      const key = versionKey(v);
+      if (!(key in versions)) versions[key] = v.downloadURL;
+    });
+    apps[app.bundleIdentifier] = { name: app.name, versions, permissions: permissionNames(app) };
+  });
+  const news = {};
+  repo.news.forEach(n => {
+    const id = n.identifier || n.title;
+    if (id) news[id] = { title: n.title, appID: n.appID };
+  });
+  return { name: repo.name, takenAt: Date.now(), apps, news };
+}
+
+/**
+ * Compares two snapshots of the same source.
+ * @param {object} prev - The older snapshot.
+ * @param {object} next - The newer snapshot.
+ * @returns {RepoDiff} The differences.
+ */
+export function diffSnapshots(prev, next) {
+  const diff = { appsAdded: [], appsRemoved: [], newVersions: [], urlChanges: [], permissionChanges: [], newNews: [] };
+
+  for (const [bundle, app] of Object.entries(next.apps)) {
+    const old = prev.apps[bundle];
+    if (!old) {
+      diff.appsAdded.push({ bundle, name: app.name });
+      continue;
+    }
+    for (const [version, url] of Object.entries(app.versions)) {
+      if (!(version in old.versions)) diff.newVersions.push({ bundle, name: app.name, version });
+      else if (old.versions[version] !== url) diff.urlChanges.push({ bundle, name: app.name, version });
+    }
+    const added = app.permissions.filter(p => !old.permissions.includes(p));
+    const removed = old.permissions.filter(p => !app.permissions.includes(p));
+    if (added.length || removed.length) diff.permissionChanges.push({ bundle, name: app.name, added, removed });
+  }
+  for (const [bundle, app] of Object.entries(prev.apps)) {
+    if (!next.apps[bundle]) diff.appsRemoved.push({ bundle, name: app.name });
+  }
+  for (const [identifier, n] of Object.entries(next.news)) {
+    if (!prev.news[identifier]) diff.newNews.push({ identifier, title: n.title, appID: n.appID });
+  }
+  return diff;
+}
+
+/**
+ * Counts the changes in a diff or changelog entry.
+ * @param {RepoDiff} diff - The diff.
+ * @returns {number} The number of changes.
+ */
+export function countChanges(diff) {
+  return diff.appsAdded.length + diff.appsRemoved.length + diff.newVersions.length
+    + diff.urlChanges.length + diff.permissionChanges.length + diff.newNews.length;
+}
+
+/**
+ * Stores a new snapshot of a source, adding a changelog entry when it changed.
+ * Never rejects; storage failures only cost the changelog.
+ * @param {string} url - The repository URL.
+ * @param {object} repo - The freshly fetched ASRepository.
+ * @returns {Promise<RepoDiff|null>} The changes, or null for the first snapshot.
+ */
+export async function recordSnapshot(url, repo) {
+  try {
+    const next = snapshotOf(repo);
+    const stored = await readSnapshot(url);
+    const changelog = stored?.changelog || [];
+    let diff = null;
+    if (stored?.snapshot) {
+      diff = diffSnapshots(stored.snapshot, next);
+      if (countChanges(diff)) changelog.unshift({ at: next.takenAt, ...diff });
+    }
+    await writeSnapshot(url, { snapshot: next, changelog: changelog.slice(0, MAX_ENTRIES) });
+    return diff;
+  } catch (e) {
+    console.warn(`Could not record a snapshot of ${url}:`, e);
+    return null;
+  }
+}
+
+/**
+ * Reads the changelogs of several sources.
+ * @param {string[]} urls - The repository URLs.
+ * @returns {Promise<{url: string, name: string, changelog: object[]}[]>} One entry per URL, in order.
+ */
+export async function getChangelogs(urls) {
+  return Promise.all(urls.map(async (url) => {
+    const stored = await readSnapshot(url);
+    return { url, name: stored?.snapshot?.name || url, changelog: stored?.changelog || [] };
+  }));
+}
+
+/**
+ * Gets when the changelog was last viewed.
+ * @returns {number} The timestamp, or 0 if never.
+ */
+export function getChangesSeen() {
+  return parseInt(localStorage.getItem(SEEN_KEY), 10) || 0;
+}
+
+/**
+ * Marks every change so far as seen.
+ */
+export function markChangesSeen() {
+  localStorage.setItem(SEEN_KEY, String(Date.now()));
+}
+
+/**
+ * Totals a set of changelog entries into short phrases, e.g. "3 new versions".
+ * @param {object[]} entries - Changelog entries.
+ * @returns {string[]} The phrases, omitting kinds with no changes.
+ */
+export function describeChanges(entries) {
+  const sum = key => entries.reduce((n, e) => n + e[key].length, 0);
+  const plural = (n, one, many) => `${n} ${n === 1 ? one : many}`;
+  return [
+    [sum('appsAdded'), 'new app', 'new apps'],
+    [sum('newVersions'), 'new version', 'new versions'],
+    [sum('appsRemoved'), 'removed app', 'removed apps'],
+    [sum('urlChanges'), 'changed download', 'changed downloads'],
+    [sum('permissionChanges'), 'permission change', 'permission changes'],
+    [sum('newNews'), 'news item', 'news items']
+  ].filter(([n]) => n).map(([n, one, many]) => plural(n, one, many));
+}
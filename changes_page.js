@@ -0,0 +1,145 @@
+// Import utility functions and modules
+import { $, qs, formatAge } from './utils.js';
+import { fetchRepo, resolveRepoURL } from './alt-source-kit.js';
+import { getSources } from './catalog.js';
+import { getChangelogs, getChangesSeen, markChangesSeen, countChanges } from './changelog.js';
+
+// Page state
+const state = {
+  logs: [], // { url, name, changelog } per configured source
+  lastVisit: 0, // Timestamp of the previous visit
+  source: qs('repo') ? resolveRepoURL(qs('repo')) : '' // Selected source URL, or '' for all
+};
+
+/**
+ * Shows the stored changelogs, then refreshes the sources so new changes are recorded.
+ */
+async function start() {
+  state.lastVisit = getChangesSeen();
+  markChangesSeen();
+
+  const urls = getSources().map(resolveRepoURL);
+  await reload(urls);
+
+  const filter = $('#sourceFilter');
+  state.logs.forEach(l => {
+    const opt = document.createElement('option');
+    opt.value = l.url;
+    opt.textContent = l.name;
+    filter.appendChild(opt);
+  });
+  filter.value = state.source;
+
+  // Fetching records a snapshot; background revalidations may add more entries
+  await Promise.allSettled(getSources().map(src => fetchRepo(src, { onRevalidate: () => reload(urls) })));
+  await reload(urls);
+}
+
+/**
+ * Re-reads the changelogs and renders them.
+ * @param {string[]} urls - The repository URLs.
+ */
+async function reload(urls) {
+  state.logs = await getChangelogs(urls);
+  render();
+}
+
+/**
+ * Renders the changelog of the selected source, or of all sources.
+ */
+function render() {
+  const list = $('#changesList');
+  list.innerHTML = '';
+  const shown = state.logs.filter(l => !state.source || l.url === state.source);
+  const unread = shown.reduce((n, l) => n + l.changelog.filter(e => e.at > state.lastVisit).reduce((m, e) => m + countChanges(e), 0), 0);
+  $('#unreadCount').textContent = unread ? `${unread} change${unread === 1 ? '' : 's'} since last visit` : '';
+
+  shown.forEach(l => {
+    const section = document.createElement('div');
+    section.className = 'repo-section';
+    const h = document.createElement('h2');
+    const a = document.createElement('a');
+    a.href = 'repo.html?' + new URLSearchParams({ repo: l.url }).toString();
+    a.textContent = l.name;
+    h.appendChild(a);
+    section.appendChild(h);
+
+    if (!l.changelog.length) {
+      const empty = document.createElement('div');
+      empty.className = 'small';
+      empty.textContent = 'No changes recorded yet. Changes show up after the source updates.';
+      section.appendChild(empty);
+    }
+    l.changelog.forEach(entry => section.appendChild(buildEntry(entry, l.url)));
+    list.appendChild(section);
+  });
+}
+
+/**
+ * Builds the block for one changelog entry.
+ * @param {object} entry - The changelog entry.
+ * @param {string} url - The source URL, used for app links.
+ * @returns {HTMLElement} The entry element.
+ */
+function buildEntry(entry, url) {
+  const block = document.createElement('div');
+  block.className = 'block change-entry';
+  block.setAttribute('role', 'listitem');
+  const when = document.createElement('div');
+  when.className = 'small';
+  when.textContent = formatAge(entry.at);
+  when.title = new Date(entry.at).toLocaleString();
+  if (entry.at > state.lastVisit) {
+    const badge = document.createElement('span');
+    badge.className = 'badge news-new';
+    badge.textContent = 'New';
+    when.appendChild(badge);
+  }
+  block.appendChild(when);
+
+  const rows = document.createElement('div');
+  rows.className = 'rows';
+  const add = (kind, label, bundle, detail) => {
+    const row = document.createElement('div');
+    row.className = 'row change-row';
+    const badge = document.createElement('span');
+    badge.className = `badge change-${kind}`;
+    badge.textContent = label;
+    const val = document.createElement('div');
+    val.className = 'value';
+    if (bundle) {
+      const link = document.createElement('a');
+      link.href = 'app.html?' + new URLSearchParams({ bundle, repo: url }).toString();
+      link.textContent = detail;
+      val.appendChild(link);
+    } else {
+      val.textContent = detail;
+    }
+    row.appendChild(badge);
+    row.appendChild(val);
+    rows.appendChild(row);
+  };
+
+  entry.appsAdded.forEach(a => add('added', 'New app', a.bundle, a.name || a.bundle));
+  entry.newVersions.forEach(v => add('version', 'Version', v.bundle, `${v.name || v.bundle} ${v.version}`));
+  entry.urlChanges.forEach(v => add('url', 'Download', v.bundle, `${v.name || v.bundle} ${v.version}: download URL changed`));
+  entry.permissionChanges.forEach(p => {
+    const parts = [...p.added.map(x => `+${x}`), ...p.removed.map(x => `−${x}`)];
+    add('permissions', 'Permissions', p.bundle, `${p.name || p.bundle}: ${parts.join(', ')}`);
+  });
+  entry.appsRemoved.forEach(a => add('removed', 'Removed', '', a.name || a.bundle));
+  entry.newNews.forEach(n => add('news', 'News', '', n.title || n.identifier));
+  block.appendChild(rows);
+  return block;
+}
+
+// Event listener for the source filter
+$('#sourceFilter').addEventListener('change', e => {
+  state.source = e.target.value;
+  const params = state.source ? '?' + new URLSearchParams({ repo: state.source }).toString() : '';
+  history.replaceState(null, '', 'changes.html' + params);
+  render();
+});
+
+// Start the page initialization
+start();
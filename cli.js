@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+// Command-line front end for the source kit.
+// Loads sources from local JSON files or URLs, validates them, prints merged
+// catalog stats and optionally writes a combined source. Exits non-zero when
+// a source fails to load or has errors, so it can gate scripts and CI.
+//
+//   node cli.js sources/a.json https://example.com/b.json -o combined.json
+
+// Import utility functions and modules
+import { readFile, writeFile } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { loadSource, mergeByBundle, appSources, buildCombinedSource } from './alt-source-core.js';
+import { validateSource, summarize } from './validator.js';
+import { fetchJSON } from './utils.js';
+import { configureFetch, getFetchSettings } from './network.js';
+
+// Constants
+const USAGE = `Usage: node cli.js [options] <source...>
+
+Sources are local JSON files, URLs or short names from the ripestore/repos collection.
+Needs Node.js 18 or later.
+
+Options:
+  -o, --out <file>      Write the merged catalog as a single source
+  --name <name>         Name of the combined source (default "Combined Source")
+  --identifier <id>     Identifier of the combined source (default "combined.source")
+  --timeout <seconds>   Give up on a source after this long (default 15)
+  --retries <n>         Retries for failed requests (default 2)
+  --json                Print the report as JSON
+  --strict              Treat warnings as errors
+  -h, --help            Show this help`;
+
+/**
+ * Parses the command-line arguments.
+ * @param {string[]} argv - The arguments after the script name.
+ * @returns {object} The options; `error` is set on invalid input.
+ */
+function parseArgs(argv) {
+  const opts = { sources: [], out: '', name: 'Combined Source', identifier: 'combined.source', timeout: 0, retries: -1, json: false, strict: false, help: false, error: '' };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      const v = argv[++i];
+      if (v === undefined) opts.error = `Missing value for ${arg}`;
+      return v || '';
+    };
+    if (arg === '-h' || arg === '--help') opts.help = true;
+    else if (arg === '-o' || arg === '--out') opts.out = value();
+    else if (arg === '--name') opts.name = value();
+    else if (arg === '--identifier') opts.identifier = value();
+    else if (arg === '--timeout') opts.timeout = Number(value()) * 1000;
+    else if (arg === '--retries') opts.retries = Number(value());
+    else if (arg === '--json') opts.json = true;
+    else if (arg === '--strict') opts.strict = true;
+    else if (arg.startsWith('-')) opts.error = `Unknown option ${arg}`;
+    else opts.sources.push(arg);
+  }
+  if (!(opts.timeout >= 0) || !(opts.retries >= -1)) opts.error = 'Invalid --timeout or --retries';
+  if (!opts.help && !opts.error && !opts.sources.length) opts.error = 'No sources given';
+  return opts;
+}
+
+/**
+ * Reads JSON from a file:// URL, or fetches it with timeouts and retries.
+ * @param {string} url - The URL.
+ * @returns {Promise<*>} The parsed JSON.
+ */
+async function nodeFetcher(url) {
+  if (url.startsWith('file://')) return JSON.parse(await readFile(new URL(url), 'utf8'));
+  return fetchJSON(url);
+}
+
+/**
+ * Loads and validates one source.
+ * @param {string} src - The command-line argument.
+ * @returns {Promise<object>} The report entry; `data` is null when loading failed.
+ */
+async function checkSource(src) {
+  // Local files become file:// URLs; anything else goes through the usual resolution
+  const local = existsSync(src) ? pathToFileURL(resolve(src)).href : '';
+  const entry = { source: src, url: local, name: '', format: '', apps: 0, versions: 0, errors: 0, warnings: 0, diagnostics: [], data: null };
+  try {
+    const { url, raw, data } = await loadSource(local || src, { fetcher: nodeFetcher });
+    const diagnostics = validateSource(raw);
+    Object.assign(entry, summarize(diagnostics), {
+      url,
+      name: data.name || src,
+      format: data.format,
+      apps: data.apps.length,
+      versions: data.apps.reduce((n, a) => n + a.versions.length, 0),
+      diagnostics,
+      data
+    });
+  } catch (err) {
+    entry.errors = 1;
+    entry.diagnostics = [{ level: 'error', path: '$', message: `Could not load source: ${err.message}` }];
+  }
+  return entry;
+}
+
+/**
+ * Merges the loaded sources and counts the result.
+ * @param {object[]} entries - The report entries.
+ * @returns {{apps: object[], news: object[], stats: object}} The merged apps, all news and the stats.
+ */
+function mergeSources(entries) {
+  const loaded = entries.filter(e => e.data);
+  const apps = mergeByBundle(loaded.flatMap(e => e.data.apps.map(a => ({ ...a, source: e.url, sourceName: e.name }))));
+  const news = loaded.flatMap(e => e.data.news);
+  const stats = {
+    sources: loaded.length,
+    apps: apps.length,
+    versions: apps.reduce((n, a) => n + a.versions.length, 0),
+    multiSource: apps.filter(a => appSources(a).length > 1).length,
+    news: news.length
+  };
+  return { apps, news, stats };
+}
+
+/**
+ * Prints the report for people.
+ * @param {object[]} entries - The report entries.
+ * @param {object} stats - The merged stats.
+ */
+function printReport(entries, stats) {
+  for (const e of entries) {
+    const counts = e.data ? ` (${e.format}): ${e.apps} apps, ${e.versions} versions` : '';
+    console.log(`${e.errors ? '✗' : '✓'} ${e.name || e.source}${counts}`);
+    for (const d of e.diagnostics) console.log(`    ${d.level}: ${d.path} ${d.message}`);
+  }
+  console.log('');
+  console.log(`Sources:            ${stats.sources} of ${entries.length} loaded`);
+  console.log(`Unique apps:        ${stats.apps}`);
+  console.log(`Versions:           ${stats.versions}`);
+  console.log(`In several sources: ${stats.multiSource}`);
+  console.log(`News items:         ${stats.news}`);
+}
+
+/**
+ * Runs the command.
+ * @param {string[]} argv - The arguments after the script name.
+ * @returns {Promise<number>} The exit code: 0 on success, 1 for invalid sources, 2 for usage errors.
+ */
+async function main(argv) {
+  const opts = parseArgs(argv);
+  if (opts.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (opts.error) {
+    console.error(`${opts.error}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const settings = getFetchSettings();
+  configureFetch({
+    ...settings,
+    timeout: opts.timeout || settings.timeout,
+    retries: opts.retries >= 0 ? opts.retries : settings.retries
+  });
+  // The fetch layer caps how many sources load at once
+  const entries = await Promise.all(opts.sources.map(checkSource));
+  const { apps, news, stats } = mergeSources(entries);
+
+  if (opts.json) {
+    const report = entries.map(({ data, ...e }) => e);
+    console.log(JSON.stringify({ sources: report, stats }, null, 2));
+  } else {
+    printReport(entries, stats);
+  }
+
+  if (opts.out) {
+    const source = buildCombinedSource({ apps, news, name: opts.name, identifier: opts.identifier });
+    await writeFile(opts.out, JSON.stringify(source, null, 2) + '\n');
+    if (!opts.json) console.log(`\nWrote ${opts.out}`);
+  }
+
+  const failed = entries.some(e => e.errors || (opts.strict && e.warnings));
+  return failed ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+}, err => {
+  console.error(err);
+  process.exitCode = 1;
+});
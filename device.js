@@ -0,0 +1,100 @@
+// Device profile and minOSVersion / maxOSVersion compatibility checks.
+
+// Constants
+const KEY = 'ripe_device'; // Key for local storage
+
+let profile = null; // Cached profile, read lazily
+
+/**
+ * Retrieves the device profile.
+ * @returns {{ios: string, family: string, mode: string}} The iOS version ('' if unset),
+ *   device family ('iphone', 'ipad' or '') and how Home treats incompatible apps ('dim' or 'hide').
+ */
+export function getDeviceProfile() {
+  if (profile) return profile;
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(KEY)) || {};
+  } catch (_) {}
+  profile = {
+    ios: typeof stored.ios === 'string' ? stored.ios.trim() : '',
+    family: stored.family === 'iphone' || stored.family === 'ipad' ? stored.family : '',
+    mode: stored.mode === 'hide' ? 'hide' : 'dim'
+  };
+  return profile;
+}
+
+/**
+ * Saves the device profile.
+ * @param {{ios?: string, family?: string, mode?: string}} p - The fields to change.
+ */
+export function setDeviceProfile(p) {
+  const next = { ...getDeviceProfile(), ...p };
+  localStorage.setItem(KEY, JSON.stringify(next));
+  profile = null;
+}
+
+/**
+ * Compares two OS versions numerically, treating missing parts as 0 ("15" == "15.0").
+ * @param {string} a - The first version.
+ * @param {string} b - The second version.
+ * @returns {number} -1 if a < b, 1 if a > b, and 0 if a == b.
+ */
+function compareOS(a, b) {
+  const A = String(a).split('.').map(x => parseInt(x, 10) || 0);
+  const B = String(b).split('.').map(x => parseInt(x, 10) || 0);
+  for (let i = 0; i < Math.max(A.length, B.length); i++) {
+    const x = A[i] || 0, y = B[i] || 0;
+    if (x !== y) return x < y ? -1 : 1;
+  }
+  return 0;
+}
+
+/**
+ * Tells whether a version can run on the profile's device.
+ * @param {{minOSVersion?: string, maxOSVersion?: string}} v - The version.
+ * @param {{deviceFamily?: string[]}} [app] - The app, for its device families.
+ * @param {object} [p] - The device profile; defaults to the saved one.
+ * @returns {boolean} True if compatible, or if there is nothing to check against.
+ */
+export function isVersionCompatible(v, app, p = getDeviceProfile()) {
+  if (p.family && app?.deviceFamily?.length && !app.deviceFamily.includes(p.family)) return false;
+  if (!p.ios || !v) return true;
+  if (v.minOSVersion && compareOS(p.ios, v.minOSVersion) < 0) return false;
+  if (v.maxOSVersion && compareOS(p.ios, v.maxOSVersion) > 0) return false;
+  return true;
+}
+
+/**
+ * Tells whether an app (or a flattened version entry) has anything the device can run.
+ * @param {object} a - The app or version entry.
+ * @param {object} [p] - The device profile; defaults to the saved one.
+ * @returns {boolean} True if compatible.
+ */
+export function isAppCompatible(a, p = getDeviceProfile()) {
+  if (a._isVersion || !a.versions?.length) return isVersionCompatible(a, a, p);
+  return a.versions.some(v => isVersionCompatible(v, a, p));
+}
+
+/**
+ * Finds the newest version the device can run.
+ * @param {object[]} versions - The versions, newest first.
+ * @param {object} [app] - The app, for its device families.
+ * @returns {number} The index, or 0 when none is compatible.
+ */
+export function newestCompatibleIndex(versions, app) {
+  const i = versions.findIndex(v => isVersionCompatible(v, app));
+  return i < 0 ? 0 : i;
+}
+
+/**
+ * Describes the OS range a version requires, e.g. "iOS 15.0–16.4".
+ * @param {{minOSVersion?: string, maxOSVersion?: string}} v - The version.
+ * @returns {string} The description, or '' when unrestricted.
+ */
+export function osRangeLabel(v) {
+  if (v.minOSVersion && v.maxOSVersion) return `iOS ${v.minOSVersion}–${v.maxOSVersion}`;
+  if (v.minOSVersion) return `iOS ${v.minOSVersion}+`;
+  if (v.maxOSVersion) return `iOS ≤ ${v.maxOSVersion}`;
+  return '';
+}
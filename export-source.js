@@ -0,0 +1,95 @@
+// Turns the merged catalog back into one AltStore source.
+// The selection works on mergeByBundle output: dropping a source drops the
+// versions only it serves, and apps left without versions are dropped too.
+
+// Import utility functions and modules
+import { buildCombinedSource } from './alt-source-core.js';
+
+// Constants
+const ID_PREFIX = 'io.ripestore.export.'; // Generated identifiers live under this namespace
+
+/**
+ * Suggests a name for an export from the names of its sources.
+ * @param {string[]} names - The chosen source names.
+ * @returns {string} The name, e.g. "RipeStore: Alpha, Beta and 3 more".
+ */
+export function exportName(names) {
+  if (!names.length) return 'RipeStore Export';
+  if (names.length <= 3) return `RipeStore: ${names.join(', ')}`;
+  return `RipeStore: ${names.slice(0, 2).join(', ')} and ${names.length - 2} more`;
+}
+
+/**
+ * Derives a reverse-DNS identifier from an export name.
+ * The same name always yields the same identifier, so re-exports replace the
+ * source in AltStore instead of adding a second one.
+ * @param {string} name - The export name.
+ * @returns {string} The identifier.
+ */
+export function exportIdentifier(name) {
+  const slug = String(name || '').toLowerCase().normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return ID_PREFIX + (slug || 'catalog');
+}
+
+/**
+ * Keeps the parts of the merged catalog served by the chosen sources.
+ * Each kept version takes its download URL from the first chosen source serving it.
+ * Apps without a bundle ID are left out, since AltStore cannot track them.
+ * @param {object[]} merged - Apps from mergeByBundle.
+ * @param {Set<string>} sources - URLs of the sources to include.
+ * @param {Set<string>} [skipped] - Bundle IDs to leave out.
+ * @returns {object[]} The apps, each with only its included versions.
+ */
+export function pickApps(merged, sources, skipped = new Set()) {
+  const out = [];
+  for (const app of merged) {
+    const bundle = String(app.bundleIdentifier || '').trim();
+    if (!bundle || skipped.has(bundle)) continue;
+    const versions = [];
+    for (const v of app.versions || []) {
+      const tag = (v.sources || []).find(s => sources.has(s.url));
+      if (tag) versions.push({ ...v, downloadURL: tag.downloadURL || v.downloadURL });
+    }
+    if (versions.length) out.push({ ...app, versions });
+  }
+  return out;
+}
+
+/**
+ * Collects news for an export, dropping duplicates.
+ * Links to apps that are not part of the export are removed so the news stays valid.
+ * @param {object[]} news - News items from the chosen sources.
+ * @param {object[]} apps - The exported apps.
+ * @returns {object[]} The news items.
+ */
+export function pickNews(news, apps) {
+  const bundles = new Set(apps.map(a => a.bundleIdentifier));
+  const seen = new Set();
+  const out = [];
+  for (const n of news) {
+    const key = n.identifier || `${n.title}|${n.date}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push(n.appID && !bundles.has(n.appID) ? { ...n, appID: undefined } : n);
+  }
+  return out;
+}
+
+/**
+ * Builds the exported source.
+ * @param {object[]} merged - Apps from mergeByBundle.
+ * @param {object} options
+ * @param {Set<string>} options.sources - URLs of the sources to include.
+ * @param {Set<string>} [options.skipped] - Bundle IDs to leave out.
+ * @param {string} options.name - The source name.
+ * @param {string} options.identifier - The source identifier.
+ * @param {object[]} [options.news] - News from the chosen sources, or none.
+ * @returns {object} The source JSON.
+ */
+export function buildExport(merged, { sources, skipped, name, identifier, news = [] }) {
+  const apps = pickApps(merged, sources, skipped);
+  return buildCombinedSource({ apps, name, identifier, news: pickNews(news, apps) });
+}
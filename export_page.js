@@ -0,0 +1,307 @@
+// Import utility functions and modules
+import { $ } from './utils.js';
+import { fetchRepo } from './alt-source-kit.js';
+import { getSources, mergeByBundle } from './catalog.js';
+import { validateSource, summarize } from './validator.js';
+import { exportName, exportIdentifier, pickApps, buildExport } from './export-source.js';
+
+// Constants
+const SETTINGS_KEY = 'ripe_export'; // The saved selection and details
+
+// Page state
+const state = {
+  repos: [], // { url, name, apps, news } per loaded source
+  merged: [], // Apps from all loaded sources, merged by bundle ID
+  filter: '', // App filter text
+  settings: loadSettings()
+};
+
+/**
+ * Reads the saved export settings.
+ * Sources and apps are stored as exclusions, so ones added later are included by default.
+ * @returns {{excludedSources: string[], skipped: string[], name: string, identifier: string, news: boolean}} The settings.
+ */
+function loadSettings() {
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+  } catch (_) {}
+  return {
+    excludedSources: Array.isArray(saved.excludedSources) ? saved.excludedSources : [],
+    skipped: Array.isArray(saved.skipped) ? saved.skipped : [],
+    name: typeof saved.name === 'string' ? saved.name : '',
+    identifier: typeof saved.identifier === 'string' ? saved.identifier : '',
+    news: saved.news !== false
+  };
+}
+
+/**
+ * Saves the export settings.
+ */
+function saveSettings() {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(state.settings));
+}
+
+/**
+ * Lists the URLs of the chosen sources.
+ * @returns {Set<string>} The URLs.
+ */
+function chosenSources() {
+  const excluded = new Set(state.settings.excludedSources);
+  return new Set(state.repos.map(r => r.url).filter(url => !excluded.has(url)));
+}
+
+/**
+ * Returns the name to export under: the user's, or one generated from the chosen sources.
+ * @returns {string} The name.
+ */
+function currentName() {
+  const chosen = chosenSources();
+  return state.settings.name.trim() || exportName(state.repos.filter(r => chosen.has(r.url)).map(r => r.name));
+}
+
+/**
+ * Returns the identifier to export under: the user's, or one derived from the name.
+ * @returns {string} The identifier.
+ */
+function currentIdentifier() {
+  return state.settings.identifier.trim() || exportIdentifier(currentName());
+}
+
+/**
+ * Builds the source for the current selection.
+ * @returns {object} The source JSON.
+ */
+function exportSource() {
+  const sources = chosenSources();
+  return buildExport(state.merged, {
+    sources,
+    skipped: new Set(state.settings.skipped),
+    name: currentName(),
+    identifier: currentIdentifier(),
+    news: state.settings.news ? state.repos.filter(r => sources.has(r.url)).flatMap(r => r.news) : []
+  });
+}
+
+/**
+ * Loads every configured source and merges them.
+ */
+async function start() {
+  const results = await Promise.allSettled(getSources().map(src => fetchRepo(src)));
+  const all = [];
+  let failed = 0;
+  results.forEach(r => {
+    if (r.status !== 'fulfilled') {
+      failed++;
+      return;
+    }
+    const { data, url } = r.value;
+    const name = data.name || url;
+    state.repos.push({ url, name, apps: data.apps.length, news: data.news });
+    all.push(...data.apps.map(app => ({ ...app, source: url, sourceName: name })));
+  });
+  state.merged = mergeByBundle(all);
+
+  const status = $('#loadStatus');
+  status.textContent = failed ? `${failed} source${failed === 1 ? '' : 's'} could not be loaded and ${failed === 1 ? 'is' : 'are'} left out.` : '';
+  status.hidden = !failed;
+
+  $('#exportNews').checked = state.settings.news;
+  renderSources();
+  renderApps();
+  renderDetails();
+  renderSummary();
+}
+
+/**
+ * Renders a checkbox per source.
+ */
+function renderSources() {
+  const box = $('#exportSources');
+  box.innerHTML = '';
+  const chosen = chosenSources();
+  if (!state.repos.length) {
+    box.textContent = 'No sources loaded. Add some on the Sources page.';
+    return;
+  }
+  state.repos.forEach(repo => {
+    const chip = document.createElement('label');
+    chip.className = 'chip' + (chosen.has(repo.url) ? ' active' : '');
+    chip.title = repo.url;
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = chosen.has(repo.url);
+    input.addEventListener('change', () => {
+      const excluded = state.settings.excludedSources.filter(u => u !== repo.url);
+      if (!input.checked) excluded.push(repo.url);
+      state.settings.excludedSources = excluded;
+      saveSettings();
+      chip.classList.toggle('active', input.checked);
+      renderApps();
+      renderDetails();
+      renderSummary();
+    });
+    const count = document.createElement('span');
+    count.className = 'count';
+    count.textContent = repo.apps;
+    chip.appendChild(input);
+    chip.appendChild(document.createTextNode(repo.name));
+    chip.appendChild(count);
+    box.appendChild(chip);
+  });
+}
+
+/**
+ * Renders the apps available from the chosen sources, each with a checkbox.
+ */
+function renderApps() {
+  const box = $('#exportApps');
+  box.innerHTML = '';
+  const skipped = new Set(state.settings.skipped);
+  const q = state.filter.trim().toLowerCase();
+  const apps = pickApps(state.merged, chosenSources())
+    .sort((a, b) => (a.name || '').localeCompare(b.name || ''))
+    .filter(a => !q || `${a.name} ${a.bundleIdentifier} ${a.developerName}`.toLowerCase().includes(q));
+
+  if (!apps.length) {
+    box.textContent = q ? 'No apps match the filter.' : 'The chosen sources have no apps.';
+    return;
+  }
+  apps.forEach(app => {
+    const row = document.createElement('label');
+    row.className = 'export-app';
+    row.setAttribute('role', 'listitem');
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = !skipped.has(app.bundleIdentifier);
+    input.dataset.bundle = app.bundleIdentifier;
+    input.addEventListener('change', () => {
+      setSkipped([app.bundleIdentifier], !input.checked);
+      renderSummary();
+    });
+    const name = document.createElement('span');
+    name.className = 'ellipsis';
+    name.textContent = app.name || app.bundleIdentifier;
+    const meta = document.createElement('span');
+    meta.className = 'small ellipsis';
+    const n = app.versions.length;
+    meta.textContent = `${app.bundleIdentifier} · ${n} version${n === 1 ? '' : 's'}`;
+    row.appendChild(input);
+    row.appendChild(name);
+    row.appendChild(meta);
+    box.appendChild(row);
+  });
+}
+
+/**
+ * Includes or leaves out apps.
+ * @param {string[]} bundles - The apps' bundle IDs.
+ * @param {boolean} skip - True to leave them out.
+ */
+function setSkipped(bundles, skip) {
+  const skipped = new Set(state.settings.skipped);
+  bundles.forEach(b => (skip ? skipped.add(b) : skipped.delete(b)));
+  state.settings.skipped = Array.from(skipped);
+  saveSettings();
+}
+
+/**
+ * Shows the generated name and identifier as placeholders for the detail fields.
+ */
+function renderDetails() {
+  const name = $('#exportName');
+  const id = $('#exportIdentifier');
+  name.placeholder = currentName();
+  id.placeholder = currentIdentifier();
+  if (document.activeElement !== name) name.value = state.settings.name;
+  if (document.activeElement !== id) id.value = state.settings.identifier;
+}
+
+/**
+ * Summarizes the export and checks it with the validator.
+ */
+function renderSummary() {
+  const json = exportSource();
+  const { errors, warnings } = summarize(validateSource(json));
+  const versions = json.apps.reduce((n, a) => n + a.versions.length, 0);
+  const news = (json.news || []).length;
+
+  const summary = $('#summary');
+  summary.textContent = '';
+  const title = document.createElement('div');
+  title.className = 'title ellipsis';
+  title.textContent = json.name;
+  const sub = document.createElement('div');
+  sub.className = 'sub ellipsis';
+  sub.textContent = json.identifier;
+  const counts = document.createElement('div');
+  counts.className = 'small';
+  counts.textContent = `${json.apps.length} app${json.apps.length === 1 ? '' : 's'}, ${versions} version${versions === 1 ? '' : 's'}, ${news} news item${news === 1 ? '' : 's'}`
+    + (errors || warnings ? ` · ${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'}` : ' · No problems found');
+  summary.appendChild(title);
+  summary.appendChild(sub);
+  summary.appendChild(counts);
+  $('#downloadBtn').disabled = !json.apps.length;
+  $('#copyBtn').disabled = !json.apps.length;
+}
+
+// Event listeners for the app list
+$('#appFilter').addEventListener('input', e => {
+  state.filter = e.target.value;
+  renderApps();
+});
+$('#allAppsBtn').addEventListener('click', () => {
+  setSkipped([...document.querySelectorAll('#exportApps input[data-bundle]')].map(i => i.dataset.bundle), false);
+  renderApps();
+  renderSummary();
+});
+$('#noAppsBtn').addEventListener('click', () => {
+  setSkipped([...document.querySelectorAll('#exportApps input[data-bundle]')].map(i => i.dataset.bundle), true);
+  renderApps();
+  renderSummary();
+});
+
+// Event listeners for the details
+$('#exportName').addEventListener('input', e => {
+  state.settings.name = e.target.value;
+  saveSettings();
+  renderDetails();
+  renderSummary();
+});
+$('#exportIdentifier').addEventListener('input', e => {
+  state.settings.identifier = e.target.value;
+  saveSettings();
+  renderDetails();
+  renderSummary();
+});
+$('#exportNews').addEventListener('change', e => {
+  state.settings.news = e.target.checked;
+  saveSettings();
+  renderSummary();
+});
+
+// Event listeners for exporting
+$('#downloadBtn').addEventListener('click', () => {
+  const json = exportSource();
+  const blob = new Blob([JSON.stringify(json, null, 2)], { type: 'application/json' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = `${json.identifier}.json`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+});
+$('#copyBtn').addEventListener('click', async () => {
+  const btn = $('#copyBtn');
+  try {
+    await navigator.clipboard.writeText(JSON.stringify(exportSource(), null, 2));
+    btn.textContent = 'Copied';
+  } catch (_) {
+    btn.textContent = 'Copy failed';
+  }
+  setTimeout(() => { btn.textContent = 'Copy JSON'; }, 1500);
+});
+
+// Start the page initialization
+start();
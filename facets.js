@@ -0,0 +1,138 @@
+// Facet filters for the home grid.
+// Each facet maps a grid item to one or more values; a selection keeps the
+// items matching any chosen value of every facet in use. Counts follow the
+// usual faceted-search rule: a facet's counts apply all the other facets, so
+// picking a value never hides its siblings.
+
+// Import utility functions and modules
+import { itemSources, itemSize, itemDate } from './catalog.js';
+import { isBeta } from './search.js';
+
+// Constants
+const MB = 1024 * 1024;
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * The facets, in display order.
+ */
+export const FACETS = [
+  { key: 'category', label: 'Category' },
+  { key: 'release', label: 'Release' },
+  { key: 'developer', label: 'Developer' },
+  { key: 'source', label: 'Source' },
+  { key: 'size', label: 'Size' },
+  { key: 'updated', label: 'Updated' }
+];
+
+const SIZE_BUCKETS = [
+  { value: 'lt10', label: 'Under 10 MB', max: 10 * MB },
+  { value: '10-50', label: '10–50 MB', max: 50 * MB },
+  { value: '50-100', label: '50–100 MB', max: 100 * MB },
+  { value: '100-500', label: '100–500 MB', max: 500 * MB },
+  { value: 'gt500', label: 'Over 500 MB', max: Infinity }
+];
+
+// The recent ranges overlap on purpose: "past month" includes "past week"
+const DATE_BUCKETS = [
+  { value: '7d', label: 'Past week', days: 7 },
+  { value: '30d', label: 'Past month', days: 30 },
+  { value: '365d', label: 'Past year', days: 365 },
+  { value: 'older', label: 'Over a year ago' }
+];
+
+/**
+ * Capitalizes a category identifier such as "utilities".
+ * @param {*} s - The category; sources sometimes use other types.
+ * @returns {string} The label.
+ */
+function categoryLabel(s) {
+  s = String(s);
+  return s.charAt(0).toUpperCase() + s.slice(1);
+}
+
+/**
+ * Lists the facet values of one grid item.
+ * @param {object} item - A merged app or a flattened version entry.
+ * @param {number} now - The reference time for date ranges.
+ * @returns {Object<string, {value: string, label: string}[]>} The values per facet key.
+ */
+function facetValues(item, now) {
+  const out = { category: [], release: [], developer: [], source: [], size: [], updated: [] };
+  if (item.category) out.category.push({ value: String(item.category), label: categoryLabel(item.category) });
+  out.release.push(isBeta(item.beta) ? { value: 'beta', label: 'Beta' } : { value: 'stable', label: 'Stable' });
+  if (item.developerName) out.developer.push({ value: item.developerName, label: item.developerName });
+  itemSources(item).forEach(s => out.source.push({ value: s.url, label: s.name || s.url }));
+
+  const size = itemSize(item);
+  const bucket = size ? SIZE_BUCKETS.find(b => size < b.max) : null;
+  if (bucket) out.size.push({ value: bucket.value, label: bucket.label });
+
+  const date = itemDate(item);
+  if (date) {
+    const age = (now - date.getTime()) / DAY;
+    DATE_BUCKETS.forEach(b => {
+      if (b.days ? age <= b.days : age > 365) out.updated.push({ value: b.value, label: b.label });
+    });
+  }
+  return out;
+}
+
+/**
+ * Tells whether an item's values satisfy every active facet but one.
+ * @param {object} values - The item's facet values.
+ * @param {object} filters - The selection: facet key -> chosen values.
+ * @param {string[]} active - Facet keys with a selection.
+ * @param {string} [skip] - A facet to ignore, for counting.
+ * @returns {boolean} True if the item matches.
+ */
+function matches(values, filters, active, skip) {
+  return active.every(f => f === skip || values[f].some(v => filters[f].includes(v.value)));
+}
+
+/**
+ * Filters items by a facet selection and counts the values of every facet.
+ * @param {object[]} items - The grid items, already searched.
+ * @param {Object<string, string[]>} [filters] - The selection: facet key -> chosen values.
+ * @returns {{items: object[], facets: Object<string, {value: string, label: string, count: number}[]>}}
+ *   The matching items, and each facet's values with their counts.
+ */
+export function applyFacets(items, filters = {}) {
+  const now = Date.now();
+  const active = FACETS.map(f => f.key).filter(k => Array.isArray(filters[k]) && filters[k].length);
+  const counts = {};
+  FACETS.forEach(f => { counts[f.key] = new Map(); });
+  const kept = [];
+
+  for (const item of items) {
+    const values = facetValues(item, now);
+    if (matches(values, filters, active)) kept.push(item);
+    for (const { key } of FACETS) {
+      if (!matches(values, filters, active, key)) continue;
+      for (const v of values[key]) {
+        const c = counts[key].get(v.value);
+        if (c) c.count++;
+        else counts[key].set(v.value, { ...v, count: 1 });
+      }
+    }
+  }
+
+  const facets = {};
+  for (const { key } of FACETS) {
+    const order = key === 'size' ? SIZE_BUCKETS : key === 'updated' ? DATE_BUCKETS : null;
+    // Chosen values stay listed even when nothing matches them any more
+    (filters[key] || []).forEach(value => {
+      if (counts[key].has(value)) return;
+      const label = order?.find(b => b.value === value)?.label || (key === 'category' ? categoryLabel(value) : value);
+      counts[key].set(value, { value, label, count: 0 });
+    });
+    const list = Array.from(counts[key].values());
+    if (order) {
+      const rank = v => order.findIndex(b => b.value === v.value);
+      list.sort((a, b) => rank(a) - rank(b));
+    } else {
+      list.sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+    }
+    facets[key] = list;
+  }
+  return { items: kept, facets };
+}
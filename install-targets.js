@@ -0,0 +1,160 @@
+// "Open in…" install targets for a selected app version.
+// Each target is a URL template; the user can disable targets, edit their
+// templates and pick the one the main download button uses.
+
+// Import utility functions and modules
+import { safeURL } from './utils.js';
+
+// Constants
+const KEY = 'ripe_install_targets'; // Key for local storage
+
+/**
+ * Built-in targets. Templates may use {url} (encoded IPA URL), {rawUrl},
+ * {bundle}, {version}, {name} and {manifest} (encoded manifest.plist URL).
+ */
+const TARGETS = [
+  { id: 'direct', label: 'Download IPA', template: '{rawUrl}' },
+  { id: 'altstore', label: 'AltStore', template: 'altstore://install?url={url}' },
+  { id: 'sidestore', label: 'SideStore', template: 'sidestore://install?url={url}' },
+  { id: 'feather', label: 'Feather', template: 'feather://install?url={url}' },
+  { id: 'esign', label: 'ESign', template: 'esign://install?url={url}' },
+  { id: 'scarlet', label: 'Scarlet', template: 'scarlet://install={rawUrl}' },
+  { id: 'trollstore', label: 'TrollStore', template: 'apple-magnifier://install?url={url}' },
+  { id: 'itms', label: 'OTA (itms-services)', template: 'itms-services://?action=download-manifest&url={manifest}' }
+];
+
+/**
+ * Retrieves the saved install settings.
+ * @returns {{disabled: string[], templates: Object<string, string>, defaultId: string, manifestHost: string}} The settings.
+ */
+export function getInstallSettings() {
+  let s = {};
+  try {
+    s = JSON.parse(localStorage.getItem(KEY)) || {};
+  } catch (_) {}
+  return {
+    disabled: Array.isArray(s.disabled) ? s.disabled : [],
+    templates: s.templates && typeof s.templates === 'object' ? s.templates : {},
+    defaultId: TARGETS.some(t => t.id === s.defaultId) ? s.defaultId : 'direct',
+    manifestHost: typeof s.manifestHost === 'string' ? s.manifestHost : ''
+  };
+}
+
+/**
+ * Saves install settings.
+ * @param {object} patch - The fields to change.
+ */
+export function setInstallSettings(patch) {
+  localStorage.setItem(KEY, JSON.stringify({ ...getInstallSettings(), ...patch }));
+}
+
+/**
+ * Lists all targets with the user's overrides applied.
+ * @returns {{id: string, label: string, template: string, defaultTemplate: string, enabled: boolean, isDefault: boolean}[]} The targets.
+ */
+export function listTargets() {
+  const s = getInstallSettings();
+  return TARGETS.map(t => ({
+    ...t,
+    defaultTemplate: t.template,
+    template: s.templates[t.id] || t.template,
+    enabled: !s.disabled.includes(t.id),
+    isDefault: t.id === s.defaultId
+  }));
+}
+
+/**
+ * Builds the link a target opens for a version.
+ * @param {object} target - The target from listTargets().
+ * @param {object} app - The app.
+ * @param {object} v - The version, with the download URL to use in `downloadURL`.
+ * @returns {string|null} The link; '' when it cannot be built (e.g. no manifest host for OTA),
+ *   null when the download URL is not http(s).
+ */
+export function buildInstallLink(target, app, v) {
+  if (!v?.downloadURL) return '';
+  // The URL comes from the source; anything but http(s) could run script through {rawUrl}
+  const raw = safeURL(v.downloadURL);
+  if (!raw) return null;
+  const needsManifest = target.template.includes('{manifest}');
+  const manifest = needsManifest ? manifestURL(app, v) : '';
+  if (needsManifest && !manifest) return '';
+  const values = {
+    url: encodeURIComponent(raw),
+    rawUrl: raw,
+    bundle: encodeURIComponent(app.bundleIdentifier || ''),
+    version: encodeURIComponent(v.version || ''),
+    name: encodeURIComponent(app.name || ''),
+    manifest: encodeURIComponent(manifest)
+  };
+  return target.template.replace(/\{(\w+)\}/g, (m, k) => (k in values ? values[k] : m));
+}
+
+/**
+ * Builds the URL of a hosted manifest.plist from the user's manifest host template,
+ * e.g. `https://example.com/plist?url={url}&bundle={bundle}&version={version}&name={name}`.
+ * @param {object} app - The app.
+ * @param {object} v - The version.
+ * @returns {string} The manifest URL, or '' when no host is configured.
+ */
+function manifestURL(app, v) {
+  const host = getInstallSettings().manifestHost.trim();
+  if (!host) return '';
+  const values = {
+    url: encodeURIComponent(v.downloadURL || ''),
+    bundle: encodeURIComponent(app.bundleIdentifier || ''),
+    version: encodeURIComponent(v.version || ''),
+    name: encodeURIComponent(app.name || '')
+  };
+  return host.replace(/\{(\w+)\}/g, (m, k) => (k in values ? values[k] : m));
+}
+
+/**
+ * Escapes text for use inside XML.
+ * @param {string} s - The text.
+ * @returns {string} The escaped text.
+ */
+function escapeXML(s) {
+  return String(s || '').replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+}
+
+/**
+ * Generates an OTA manifest.plist for itms-services installs.
+ * @param {object} app - The app.
+ * @param {object} v - The version.
+ * @returns {string} The plist XML.
+ */
+export function buildManifestPlist(app, v) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
+<plist version="1.0">
+<dict>
+  <key>items</key>
+  <array>
+    <dict>
+      <key>assets</key>
+      <array>
+        <dict>
+          <key>kind</key>
+          <string>software-package</string>
+          <key>url</key>
+          <string>${escapeXML(v.downloadURL)}</string>
+        </dict>
+      </array>
+      <key>metadata</key>
+      <dict>
+        <key>bundle-identifier</key>
+        <string>${escapeXML(app.bundleIdentifier)}</string>
+        <key>bundle-version</key>
+        <string>${escapeXML(v.version)}</string>
+        <key>kind</key>
+        <string>software</string>
+        <key>title</key>
+        <string>${escapeXML(app.name || app.bundleIdentifier)}</string>
+      </dict>
+    </dict>
+  </array>
+</dict>
+</plist>
+`;
+}
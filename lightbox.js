@@ -0,0 +1,214 @@
+// Full-screen image viewer for screenshots.
+// Swipe or use the arrow keys to move between images, pinch, double-tap or
+// ctrl+scroll to zoom, drag to pan a zoomed image, and swipe down or press
+// Escape to close.
+
+// Constants
+const MAX_SCALE = 4;
+const SWIPE_DISTANCE = 50; // Pixels of horizontal travel that change image
+const CLOSE_DISTANCE = 90; // Pixels of downward travel that close the viewer
+
+/**
+ * Opens the viewer.
+ * @param {{imageURL: string, width?: number, height?: number}[]} images - The images.
+ * @param {number} [start] - Index of the image to show first.
+ */
+export function openLightbox(images, start = 0) {
+  if (!images.length) return;
+  const opener = document.activeElement;
+  let index = Math.min(Math.max(0, start), images.length - 1);
+  let scale = 1, x = 0, y = 0;
+  const pointers = new Map(); // pointerId -> { x, y }
+  let gesture = null; // { kind: 'swipe' | 'pan' | 'pinch', ... }
+
+  const root = document.createElement('div');
+  root.className = 'lightbox';
+  root.setAttribute('role', 'dialog');
+  root.setAttribute('aria-modal', 'true');
+  root.setAttribute('aria-label', 'Screenshot viewer');
+  root.tabIndex = -1;
+
+  const stage = document.createElement('div');
+  stage.className = 'lightbox-stage';
+  const img = document.createElement('img');
+  img.className = 'lightbox-image';
+  img.draggable = false;
+  stage.appendChild(img);
+
+  const counter = document.createElement('div');
+  counter.className = 'lightbox-counter';
+  counter.setAttribute('aria-live', 'polite');
+
+  const button = (cls, label, text, onClick) => {
+    const b = document.createElement('button');
+    b.className = `lightbox-btn ${cls}`;
+    b.setAttribute('aria-label', label);
+    b.textContent = text;
+    b.addEventListener('click', e => {
+      e.stopPropagation();
+      onClick();
+    });
+    root.appendChild(b);
+    return b;
+  };
+
+  root.appendChild(stage);
+  root.appendChild(counter);
+  const closeBtn = button('lightbox-close', 'Close', '✕', close);
+  const prevBtn = button('lightbox-prev', 'Previous screenshot', '‹', () => go(index - 1));
+  const nextBtn = button('lightbox-next', 'Next screenshot', '›', () => go(index + 1));
+
+  /**
+   * Applies the current zoom and pan.
+   */
+  function paint() {
+    img.style.transform = `translate(${x}px, ${y}px) scale(${scale})`;
+    root.classList.toggle('zoomed', scale > 1);
+  }
+
+  /**
+   * Resets zoom and pan.
+   */
+  function resetZoom() {
+    scale = 1;
+    x = 0;
+    y = 0;
+    paint();
+  }
+
+  /**
+   * Shows the image at an index.
+   * @param {number} i - The index; out-of-range values are ignored.
+   */
+  function go(i) {
+    if (i < 0 || i >= images.length) return;
+    index = i;
+    const shot = images[i];
+    img.src = shot.imageURL;
+    img.alt = `Screenshot ${i + 1} of ${images.length}`;
+    if (shot.width && shot.height) img.style.aspectRatio = `${shot.width} / ${shot.height}`;
+    else img.style.removeProperty('aspect-ratio');
+    counter.textContent = `${i + 1} / ${images.length}`;
+    prevBtn.disabled = i === 0;
+    nextBtn.disabled = i === images.length - 1;
+    resetZoom();
+  }
+
+  /**
+   * Zooms around a point on screen.
+   * @param {number} next - The new scale.
+   * @param {number} cx - Screen x of the zoom center.
+   * @param {number} cy - Screen y of the zoom center.
+   */
+  function zoomTo(next, cx, cy) {
+    next = Math.min(MAX_SCALE, Math.max(1, next));
+    const rect = stage.getBoundingClientRect();
+    const ox = cx - rect.left - rect.width / 2;
+    const oy = cy - rect.top - rect.height / 2;
+    // Keep the point under the fingers still while scaling
+    x = ox - (ox - x) * (next / scale);
+    y = oy - (oy - y) * (next / scale);
+    scale = next;
+    if (scale === 1) {
+      x = 0;
+      y = 0;
+    }
+    paint();
+  }
+
+  /**
+   * Closes the viewer and restores focus.
+   */
+  function close() {
+    document.removeEventListener('keydown', onKey, true);
+    root.remove();
+    document.body.classList.remove('lightbox-open');
+    if (opener && typeof opener.focus === 'function') opener.focus();
+  }
+
+  /**
+   * Handles keyboard navigation, keeping focus inside the dialog.
+   * @param {KeyboardEvent} e - The event.
+   */
+  function onKey(e) {
+    if (e.key === 'Escape') close();
+    else if (e.key === 'ArrowLeft') go(index - 1);
+    else if (e.key === 'ArrowRight') go(index + 1);
+    else if (e.key === '+' || e.key === '=') zoomTo(scale * 1.5, innerWidth / 2, innerHeight / 2);
+    else if (e.key === '-') zoomTo(scale / 1.5, innerWidth / 2, innerHeight / 2);
+    else if (e.key === 'Tab') {
+      const focusable = [closeBtn, prevBtn, nextBtn].filter(b => !b.disabled);
+      const at = focusable.indexOf(document.activeElement);
+      focusable[(at + (e.shiftKey ? -1 : 1) + focusable.length) % focusable.length].focus();
+    } else return;
+    e.preventDefault();
+  }
+
+  stage.addEventListener('pointerdown', e => {
+    stage.setPointerCapture(e.pointerId);
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (pointers.size === 2) {
+      const [a, b] = [...pointers.values()];
+      gesture = { kind: 'pinch', dist: Math.hypot(a.x - b.x, a.y - b.y), scale };
+    } else if (pointers.size === 1) {
+      gesture = { kind: scale > 1 ? 'pan' : 'swipe', sx: e.clientX, sy: e.clientY, x, y };
+    }
+  });
+
+  stage.addEventListener('pointermove', e => {
+    if (!pointers.has(e.pointerId) || !gesture) return;
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (gesture.kind === 'pinch' && pointers.size === 2) {
+      const [a, b] = [...pointers.values()];
+      const dist = Math.hypot(a.x - b.x, a.y - b.y);
+      zoomTo(gesture.scale * dist / gesture.dist, (a.x + b.x) / 2, (a.y + b.y) / 2);
+    } else if (gesture.kind === 'pan') {
+      x = gesture.x + e.clientX - gesture.sx;
+      y = gesture.y + e.clientY - gesture.sy;
+      paint();
+    } else if (gesture.kind === 'swipe') {
+      // Follow the finger a little so the swipe feels connected
+      const dx = e.clientX - gesture.sx, dy = e.clientY - gesture.sy;
+      img.style.transform = Math.abs(dx) > Math.abs(dy) ? `translateX(${dx}px)` : `translateY(${Math.max(0, dy)}px)`;
+    }
+  });
+
+  const endPointer = e => {
+    if (!pointers.has(e.pointerId)) return;
+    pointers.delete(e.pointerId);
+    if (gesture?.kind === 'swipe' && pointers.size === 0) {
+      const dx = e.clientX - gesture.sx, dy = e.clientY - gesture.sy;
+      gesture = null;
+      if (Math.abs(dx) > SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy)) go(index + (dx < 0 ? 1 : -1));
+      else if (dy > CLOSE_DISTANCE && dy > Math.abs(dx)) close();
+      else paint();
+      return;
+    }
+    // Lifting one finger of a pinch continues as a pan
+    if (pointers.size === 1) {
+      const [p] = [...pointers.values()];
+      gesture = { kind: 'pan', sx: p.x, sy: p.y, x, y };
+    } else if (pointers.size === 0) {
+      gesture = null;
+    }
+  };
+  stage.addEventListener('pointerup', endPointer);
+  stage.addEventListener('pointercancel', endPointer);
+
+  stage.addEventListener('dblclick', e => zoomTo(scale > 1 ? 1 : 2.5, e.clientX, e.clientY));
+  stage.addEventListener('wheel', e => {
+    // Trackpad pinches arrive as ctrl+wheel
+    if (!e.ctrlKey) return;
+    e.preventDefault();
+    zoomTo(scale * Math.exp(-e.deltaY / 100), e.clientX, e.clientY);
+  }, { passive: false });
+  root.addEventListener('click', e => {
+    if (e.target === root) close();
+  });
+
+  document.addEventListener('keydown', onKey, true);
+  document.body.classList.add('lightbox-open');
+  document.body.appendChild(root);
+  go(index);
+  closeBtn.focus();
+}
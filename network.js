@@ -0,0 +1,270 @@
+// Resilient fetching for sources: per-request timeouts, retries with
+// exponential backoff, a cap on concurrent requests and an optional CORS proxy.
+// Pages read the settings from localStorage; workers have no localStorage, so
+// the page hands them over and the worker applies them with configureFetch.
+
+// Constants
+const KEY = 'ripe_fetch_settings'; // Key for local storage
+const DEFAULTS = { timeout: 15000, retries: 2, concurrency: 4, proxy: '' };
+const BACKOFF_BASE = 500; // Delay before the first retry, doubled for each one after
+const BACKOFF_MAX = 8000;
+
+let overrides = null; // Settings passed to configureFetch, used instead of localStorage
+let active = 0; // Requests holding a slot
+const waiting = []; // Requests waiting for a slot, first come first served
+const proxiedOrigins = new Set(); // Origins that only answered through the proxy
+
+/**
+ * Clamps the stored settings to sane values.
+ * @param {object} s - The raw settings.
+ * @returns {{timeout: number, retries: number, concurrency: number, proxy: string}} The settings.
+ */
+function normalize(s) {
+  const int = (v, min, max, fallback) => {
+    const n = parseInt(v, 10);
+    return isNaN(n) ? fallback : Math.min(max, Math.max(min, n));
+  };
+  return {
+    timeout: int(s.timeout, 1000, 120000, DEFAULTS.timeout),
+    retries: int(s.retries, 0, 5, DEFAULTS.retries),
+    concurrency: int(s.concurrency, 1, 16, DEFAULTS.concurrency),
+    proxy: typeof s.proxy === 'string' ? s.proxy.trim() : ''
+  };
+}
+
+/**
+ * Gets the fetch settings saved on this device.
+ * @returns {{timeout: number, retries: number, concurrency: number, proxy: string}} The settings.
+ */
+export function getFetchSettings() {
+  let s = {};
+  try {
+    s = JSON.parse(localStorage.getItem(KEY)) || {};
+  } catch (_) {}
+  return normalize(s);
+}
+
+/**
+ * Saves fetch settings.
+ * @param {object} patch - The fields to change.
+ */
+export function setFetchSettings(patch) {
+  localStorage.setItem(KEY, JSON.stringify({ ...getFetchSettings(), ...patch }));
+}
+
+/**
+ * Sets the fetch settings for this context, e.g. inside a worker.
+ * @param {object|null} settings - The settings, or null to go back to the saved ones.
+ */
+export function configureFetch(settings) {
+  overrides = settings ? normalize(settings) : null;
+}
+
+/**
+ * Returns the settings in effect.
+ * @returns {object} The settings.
+ */
+function current() {
+  return overrides || getFetchSettings();
+}
+
+/**
+ * Routes a URL through a CORS proxy.
+ * A `{url}` placeholder receives the encoded URL; otherwise the URL is appended.
+ * @param {string} url - The URL.
+ * @param {string} proxy - The proxy template, e.g. "https://proxy.example/?url={url}".
+ * @returns {string} The proxied URL.
+ */
+export function proxyURL(url, proxy) {
+  if (!proxy) return url;
+  return proxy.includes('{url}') ? proxy.replace('{url}', encodeURIComponent(url)) : proxy + url;
+}
+
+/**
+ * Returns the reason an aborted signal carries.
+ * @param {AbortSignal} signal - The signal.
+ * @returns {Error} The reason.
+ */
+function abortReason(signal) {
+  return signal.reason || new DOMException('The request was aborted', 'AbortError');
+}
+
+/**
+ * Waits for a free request slot.
+ * @param {number} limit - The concurrency cap.
+ * @param {AbortSignal} [signal] - Gives up waiting when aborted.
+ * @returns {Promise<void>} Resolves once the slot is taken.
+ */
+function acquire(limit, signal) {
+  if (signal?.aborted) return Promise.reject(abortReason(signal));
+  if (active < limit && !waiting.length) {
+    active++;
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    const take = () => {
+      signal?.removeEventListener('abort', onAbort);
+      active++;
+      resolve();
+    };
+    const onAbort = () => {
+      waiting.splice(waiting.indexOf(take), 1);
+      reject(abortReason(signal));
+    };
+    waiting.push(take);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Frees a request slot and hands it to the next waiting request.
+ */
+function release() {
+  active--;
+  while (waiting.length && active < current().concurrency) waiting.shift()();
+}
+
+/**
+ * Waits before a retry.
+ * @param {number} ms - The delay.
+ * @param {AbortSignal} [signal] - Cuts the wait short when aborted.
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortReason(signal));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Makes one attempt, reading the response within the timeout.
+ * @param {string} url - The URL to fetch.
+ * @param {object} init - fetch options.
+ * @param {Function} parse - Reads the response.
+ * @param {number} timeout - The timeout in ms.
+ * @param {AbortSignal} [signal] - The caller's signal.
+ * @returns {Promise<*>} What `parse` returned.
+ */
+async function attempt(url, init, parse, timeout, signal) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(abortReason(signal));
+  signal?.addEventListener('abort', onAbort, { once: true });
+  const timer = setTimeout(() => {
+    const err = new Error(`Timed out after ${Math.round(timeout / 1000)}s`);
+    err.name = 'TimeoutError';
+    controller.abort(err);
+  }, timeout);
+  try {
+    let res;
+    try {
+      res = await fetch(url, { ...init, signal: controller.signal });
+    } catch (err) {
+      // Only failures of fetch() itself are network errors; a TypeError from `parse` is a bug or a bad payload
+      if (err && typeof err === 'object') err.network = true;
+      throw err;
+    }
+    if (res.status >= 500 || res.status === 429) {
+      const err = new Error(`Fetch failed ${res.status}`);
+      err.retryable = true;
+      throw err;
+    }
+    return await parse(res);
+  } catch (err) {
+    // Aborting rejects with the abort reason in some engines and a generic AbortError in others
+    throw controller.signal.aborted ? controller.signal.reason : err;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Tells whether a failed attempt is worth repeating.
+ * Network errors, timeouts and server errors are; client errors and bad payloads are not.
+ * @param {Error} err - The error.
+ * @returns {boolean} True to retry.
+ */
+function isRetryable(err) {
+  return !!err?.network || err?.name === 'TimeoutError' || !!err?.retryable;
+}
+
+/**
+ * Returns the origin of a URL, or '' if it cannot be parsed.
+ * @param {string} url - The URL.
+ * @returns {string} The origin.
+ */
+function originOf(url) {
+  try {
+    return new URL(url).origin;
+  } catch (_) {
+    return '';
+  }
+}
+
+/**
+ * Fetches a URL with a timeout, retries and the concurrency cap.
+ *
+ * When a CORS proxy is configured and a direct request fails at the network
+ * level (which is how browsers report blocked cross-origin requests), the
+ * request is repeated through the proxy, and later requests to that origin go
+ * through the proxy straight away.
+ *
+ * @param {string} url - The URL to fetch.
+ * @param {object} [options]
+ * @param {object} [options.init] - fetch options.
+ * @param {Function} [options.parse] - `async (response) => value`, run inside the timeout; defaults to returning the response.
+ * @param {AbortSignal} [options.signal] - Cancels the request, including any wait for a slot or a retry.
+ * @param {Function} [options.onProgress] - Receives `{ phase: 'queued'|'loading'|'retrying', attempt, proxied, delay, error }`.
+ * @param {number} [options.timeout] - Overrides the timeout in ms.
+ * @param {number} [options.retries] - Overrides the number of retries.
+ * @returns {Promise<*>} What `parse` returned.
+ */
+export async function request(url, { init = {}, parse = res => res, signal, onProgress, timeout, retries } = {}) {
+  const s = current();
+  const limit = { timeout: timeout ?? s.timeout, retries: retries ?? s.retries };
+  const origin = originOf(url);
+  let proxied = !!s.proxy && proxiedOrigins.has(origin);
+  let tries = 0;
+
+  if (onProgress) onProgress({ phase: 'queued', attempt: 0, proxied });
+  await acquire(s.concurrency, signal);
+  let held = true;
+  try {
+    for (;;) {
+      tries++;
+      if (onProgress) onProgress({ phase: 'loading', attempt: tries, proxied });
+      try {
+        const out = await attempt(proxied ? proxyURL(url, s.proxy) : url, init, parse, limit.timeout, signal);
+        if (proxied && origin) proxiedOrigins.add(origin);
+        return out;
+      } catch (err) {
+        if (signal?.aborted) throw abortReason(signal);
+        // A blocked cross-origin request gets one immediate try through the proxy
+        if (err?.network && s.proxy && !proxied) {
+          proxied = true;
+          tries--;
+          continue;
+        }
+        if (!isRetryable(err) || tries > limit.retries) throw err;
+        const delay = Math.min(BACKOFF_MAX, BACKOFF_BASE * 2 ** (tries - 1)) * (0.75 + Math.random() / 2);
+        if (onProgress) onProgress({ phase: 'retrying', attempt: tries + 1, proxied, delay, error: err.message });
+        // Other requests may use the slot while this one backs off
+        release();
+        held = false;
+        await sleep(delay, signal);
+        await acquire(s.concurrency, signal);
+        held = true;
+      }
+    }
+  } finally {
+    if (held) release();
+  }
+}
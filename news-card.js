@@ -0,0 +1,63 @@
+// News card rendering shared by the news and repository pages.
+
+// Import utility functions and modules
+import { ellipsize, formatDate, cssColor, safeURL } from './utils.js';
+
+/**
+ * Builds a news card element.
+ * The card links to `appLink` when given, else to the item's own URL if it is
+ * http(s); links from source JSON with any other scheme are dropped.
+ * @param {object} n - The news item.
+ * @param {object} [options]
+ * @param {string} [options.appLink] - The app page the item refers to.
+ * @param {Date|null} [options.date] - The parsed item date.
+ * @param {boolean} [options.unread] - Show a "New" badge.
+ * @returns {HTMLElement} The news card element.
+ */
+export function buildNewsCard(n, { appLink = '', date = null, unread = false } = {}) {
+  const external = appLink ? '' : safeURL(n.url);
+  const href = appLink || external;
+  const card = document.createElement(href ? 'a' : 'div');
+  card.className = 'card news-card no-underline';
+  card.setAttribute('role', 'listitem');
+  if (href) card.href = href;
+  if (external) {
+    card.target = '_blank';
+    card.rel = 'noopener';
+  }
+  const tint = cssColor(n.tintColor);
+  if (tint) card.style.setProperty('--tint', tint);
+
+  const image = safeURL(n.imageURL);
+  if (image) {
+    const img = document.createElement('img');
+    img.className = 'news-image';
+    img.loading = 'lazy';
+    img.alt = '';
+    img.src = image;
+    card.appendChild(img);
+  }
+
+  const meta = document.createElement('div');
+  meta.className = 'meta';
+  const title = document.createElement('div');
+  title.className = 'title';
+  title.textContent = n.title || 'Untitled';
+  if (unread) {
+    const badge = document.createElement('span');
+    badge.className = 'badge news-new';
+    badge.textContent = 'New';
+    title.appendChild(badge);
+  }
+  const caption = document.createElement('div');
+  caption.className = 'sub';
+  caption.textContent = ellipsize(n.caption, 280);
+  const info = document.createElement('div');
+  info.className = 'small ellipsis';
+  info.textContent = [formatDate(date), n.sourceName].filter(Boolean).join(' · ');
+  meta.appendChild(title);
+  meta.appendChild(caption);
+  meta.appendChild(info);
+  card.appendChild(meta);
+  return card;
+}
@@ -0,0 +1,112 @@
+// Import utility functions and modules
+import { $, parseDateString } from './utils.js';
+import { fetchRepo } from './alt-source-kit.js';
+import { getSources } from './catalog.js';
+import { buildNewsCard } from './news-card.js';
+
+// Constants
+const SEEN_KEY = 'ripe_news_seen'; // When the news page was last opened
+
+// Page state
+const state = {
+  items: [], // News from all sources, newest first
+  lastVisit: 0, // Timestamp of the previous visit
+  source: '' // Selected source URL, or '' for all
+};
+
+/**
+ * Loads news from every configured source and renders it.
+ */
+async function start() {
+  state.lastVisit = parseInt(localStorage.getItem(SEEN_KEY), 10) || 0;
+  localStorage.setItem(SEEN_KEY, String(Date.now()));
+
+  const list = $('#newsList');
+  list.textContent = 'Loading…';
+
+  const results = await Promise.allSettled(getSources().map(src => fetchRepo(src)));
+  const bundles = new Map(); // bundle ID -> source URL of an app that has it
+  const own = new Map(); // source URL -> bundle IDs it carries
+  const items = [];
+  const filter = $('#sourceFilter');
+
+  results.forEach(r => {
+    if (r.status !== 'fulfilled') return;
+    const { data, url } = r.value;
+    own.set(url, new Set(data.apps.map(a => a.bundleIdentifier)));
+    data.apps.forEach(a => {
+      if (a.bundleIdentifier && !bundles.has(a.bundleIdentifier)) bundles.set(a.bundleIdentifier, url);
+    });
+    data.news.forEach(n => items.push({ ...n, source: url, sourceName: data.name || url, _date: parseDateString(n.date) }));
+
+    const opt = document.createElement('option');
+    opt.value = url;
+    opt.textContent = data.name || url;
+    filter.appendChild(opt);
+  });
+
+  items.forEach(n => {
+    // Prefer the news item's own source when it carries the app
+    if (!n.appID) return;
+    if (own.get(n.source)?.has(n.appID)) n._appRepo = n.source;
+    else if (bundles.has(n.appID)) n._appRepo = bundles.get(n.appID);
+  });
+  items.sort((a, b) => {
+    if (a._date && b._date) return b._date - a._date;
+    if (a._date) return -1;
+    if (b._date) return 1;
+    return 0;
+  });
+  state.items = items;
+  render();
+}
+
+/**
+ * Tells whether a news item arrived after the previous visit.
+ * @param {object} n - The news item.
+ * @returns {boolean} True if unread.
+ */
+function isUnread(n) {
+  return !!(state.lastVisit && n._date && n._date.getTime() > state.lastVisit);
+}
+
+/**
+ * Renders the news list for the selected source.
+ */
+function render() {
+  const list = $('#newsList');
+  list.innerHTML = '';
+  const shown = state.items.filter(n => !state.source || n.source === state.source);
+  const unread = shown.filter(isUnread).length;
+  $('#unreadCount').textContent = unread ? `${unread} new since last visit` : '';
+
+  if (!shown.length) {
+    const empty = document.createElement('div');
+    empty.className = 'small';
+    empty.textContent = 'No news from your sources.';
+    list.appendChild(empty);
+    return;
+  }
+  shown.forEach(n => list.appendChild(buildNewsCard(n, { appLink: appLink(n), date: n._date, unread: isUnread(n) })));
+}
+
+/**
+ * Returns the app page a news item refers to, if one of the sources carries the app.
+ * @param {object} n - The news item.
+ * @returns {string} The link, or '' for none.
+ */
+function appLink(n) {
+  if (!n._appRepo) return '';
+  const params = new URLSearchParams();
+  params.set('bundle', n.appID);
+  params.set('repo', n._appRepo);
+  return 'app.html?' + params.toString();
+}
+
+// Event listener for the source filter
+$('#sourceFilter').addEventListener('change', e => {
+  state.source = e.target.value;
+  render();
+});
+
+start();
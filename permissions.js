@@ -0,0 +1,205 @@
+// Human-readable names for app permissions: entitlements, privacy usage
+// descriptions and the legacy `permissions` array, plus the entitlements worth
+// a second look before sideloading.
+
+// Constants
+
+/**
+ * Known entitlements. `sensitive` marks ones that weaken the sandbox or code signing.
+ */
+const ENTITLEMENTS = {
+  'application-identifier': { name: 'App identifier', description: 'The team and bundle ID the app is signed for.' },
+  'com.apple.developer.team-identifier': { name: 'Team identifier', description: 'The developer team that signed the app.' },
+  'get-task-allow': { name: 'Debuggable', description: 'Lets a debugger attach to the app and inspect its memory.', sensitive: true },
+  'keychain-access-groups': { name: 'Keychain sharing', description: 'Shares saved passwords and keys with other apps in these groups.', sensitive: true },
+  'com.apple.security.application-groups': { name: 'App groups', description: 'Shares a data container with other apps from the same developer.' },
+  'com.apple.developer.associated-domains': { name: 'Associated domains', description: 'Opens links and shares credentials for these websites.' },
+  'aps-environment': { name: 'Push notifications', description: 'Receives remote notifications.' },
+  'com.apple.developer.icloud-container-identifiers': { name: 'iCloud containers', description: 'Stores documents and data in iCloud.' },
+  'com.apple.developer.icloud-services': { name: 'iCloud services', description: 'Uses iCloud Drive or CloudKit.' },
+  'com.apple.developer.ubiquity-kvstore-identifier': { name: 'iCloud key-value storage', description: 'Syncs small settings through iCloud.' },
+  'com.apple.developer.networking.wifi-info': { name: 'Wi-Fi information', description: 'Reads the name of the connected Wi-Fi network.' },
+  'com.apple.developer.networking.networkextension': { name: 'Network extensions', description: 'Provides a VPN, content filter or DNS proxy.' },
+  'com.apple.developer.networking.vpn.api': { name: 'Personal VPN', description: 'Creates VPN configurations.' },
+  'com.apple.developer.networking.multicast': { name: 'Multicast networking', description: 'Sends and receives multicast traffic on the local network.' },
+  'com.apple.developer.healthkit': { name: 'HealthKit', description: 'Accesses Health data, subject to your approval.' },
+  'com.apple.developer.homekit': { name: 'HomeKit', description: 'Controls home accessories.' },
+  'com.apple.developer.siri': { name: 'Siri', description: 'Handles Siri requests and shortcuts.' },
+  'com.apple.developer.in-app-payments': { name: 'Apple Pay', description: 'Accepts payments with Apple Pay.' },
+  'com.apple.developer.applesignin': { name: 'Sign in with Apple', description: 'Offers Sign in with Apple.' },
+  'com.apple.developer.game-center': { name: 'Game Center', description: 'Uses Game Center.' },
+  'com.apple.developer.nfc.readersession.formats': { name: 'NFC tag reading', description: 'Reads NFC tags.' },
+  'com.apple.developer.usernotifications.time-sensitive': { name: 'Time-sensitive notifications', description: 'Sends notifications that can break through Focus.' },
+  'com.apple.developer.default-data-protection': { name: 'Data protection', description: 'Sets the default encryption class for the app’s files.' },
+  'com.apple.developer.kernel.increased-memory-limit': { name: 'Increased memory limit', description: 'Asks for more memory than apps normally get.' },
+  'com.apple.developer.kernel.extended-virtual-addressing': { name: 'Extended virtual addressing', description: 'Uses a larger address space, often for emulators and JIT.' },
+  'com.apple.external-accessory.wireless-configuration': { name: 'Wireless accessory setup', description: 'Configures Wi-Fi accessories.' },
+  'inter-app-audio': { name: 'Inter-app audio', description: 'Shares audio with other apps.' },
+  'dynamic-codesigning': { name: 'Dynamic code signing', description: 'Generates and runs new code at runtime (JIT).', sensitive: true },
+  'platform-application': { name: 'Platform application', description: 'Claims to be part of the system rather than a regular app.', sensitive: true },
+  'task_for_pid-allow': { name: 'Process inspection', description: 'Reads and modifies the memory of other processes.', sensitive: true },
+  'com.apple.system-task-ports': { name: 'System task ports', description: 'Controls system processes.', sensitive: true },
+  'run-unsigned-code': { name: 'Unsigned code', description: 'Runs code without a valid signature.', sensitive: true },
+  'com.apple.private.skip-library-validation': { name: 'Skip library validation', description: 'Loads libraries signed by anyone.', sensitive: true },
+  'com.apple.private.security.no-sandbox': { name: 'No sandbox', description: 'Runs outside the app sandbox.', sensitive: true },
+  'com.apple.private.security.no-container': { name: 'No container', description: 'Runs without its own data container.', sensitive: true },
+  'com.apple.private.security.storage.AppDataContainers': { name: 'Other apps’ data', description: 'Reads and writes the data of other apps.', sensitive: true },
+  'com.apple.security.exception.files.absolute-path.read-write': { name: 'File system access', description: 'Reads and writes files outside the sandbox.', sensitive: true },
+  'com.apple.security.exception.files.absolute-path.read-only': { name: 'File system read access', description: 'Reads files outside the sandbox.', sensitive: true },
+  'com.apple.security.exception.mach-lookup.global-name': { name: 'System service access', description: 'Talks to system services normally off limits to apps.', sensitive: true }
+};
+
+/**
+ * Known privacy usage-description keys.
+ */
+const PRIVACY = {
+  NSCameraUsageDescription: 'Camera',
+  NSMicrophoneUsageDescription: 'Microphone',
+  NSPhotoLibraryUsageDescription: 'Photo library',
+  NSPhotoLibraryAddUsageDescription: 'Save to photo library',
+  NSLocationWhenInUseUsageDescription: 'Location while using the app',
+  NSLocationAlwaysAndWhenInUseUsageDescription: 'Location, always',
+  NSLocationAlwaysUsageDescription: 'Location, always',
+  NSLocationUsageDescription: 'Location',
+  NSContactsUsageDescription: 'Contacts',
+  NSCalendarsUsageDescription: 'Calendars',
+  NSRemindersUsageDescription: 'Reminders',
+  NSBluetoothAlwaysUsageDescription: 'Bluetooth',
+  NSBluetoothPeripheralUsageDescription: 'Bluetooth',
+  NSFaceIDUsageDescription: 'Face ID',
+  NSMotionUsageDescription: 'Motion & fitness',
+  NSHealthShareUsageDescription: 'Read Health data',
+  NSHealthUpdateUsageDescription: 'Write Health data',
+  NSSpeechRecognitionUsageDescription: 'Speech recognition',
+  NSAppleMusicUsageDescription: 'Media & Apple Music',
+  NSLocalNetworkUsageDescription: 'Local network',
+  NSUserTrackingUsageDescription: 'Tracking across apps and websites',
+  NSHomeKitUsageDescription: 'Home',
+  NSSiriUsageDescription: 'Siri',
+  NSNearbyInteractionUsageDescription: 'Nearby interaction',
+  NSFocusStatusUsageDescription: 'Focus status',
+  NSDocumentsFolderUsageDescription: 'Documents folder'
+};
+
+/**
+ * Names for the types used by the legacy `permissions` array.
+ */
+const LEGACY = {
+  'photos': 'Photo library',
+  'camera': 'Camera',
+  'location': 'Location',
+  'contacts': 'Contacts',
+  'reminders': 'Reminders',
+  'calendars': 'Calendars',
+  'music': 'Media & Apple Music',
+  'microphone': 'Microphone',
+  'speech-recognition': 'Speech recognition',
+  'background-audio': 'Background audio',
+  'background-fetch': 'Background refresh',
+  'bluetooth': 'Bluetooth',
+  'network': 'Network',
+  'faceid': 'Face ID',
+  'siri': 'Siri',
+  'motion': 'Motion & fitness'
+};
+
+/**
+ * @typedef {object} PermissionEntry
+ * @property {string} id - Unique across kinds, e.g. "privacy:NSCameraUsageDescription".
+ * @property {'entitlement'|'privacy'|'legacy'} kind - Where the permission was declared.
+ * @property {string} key - The raw key.
+ * @property {string} name - A human-readable name.
+ * @property {string} description - What the permission allows, if known.
+ * @property {string} usage - The developer's own explanation, for privacy keys.
+ * @property {*} value - The entitlement value, when the source lists one.
+ * @property {boolean} sensitive - True for entitlements that weaken the sandbox or code signing.
+ */
+
+/**
+ * Turns an unknown usage-description key into words, e.g. "NSFooBarUsageDescription" -> "Foo bar".
+ * @param {string} key - The key.
+ * @returns {string} The name.
+ */
+function privacyName(key) {
+  const words = key.replace(/^NS/, '').replace(/UsageDescription$/, '').replace(/([a-z])([A-Z])/g, '$1 $2');
+  return words ? words.charAt(0) + words.slice(1).toLowerCase() : key;
+}
+
+/**
+ * Describes an entitlement, including the private and sandbox-exception families.
+ * @param {string} key - The entitlement key, already coerced to a string.
+ * @returns {{name: string, description: string, sensitive: boolean}} The description.
+ */
+function describeEntitlement(key) {
+  const known = ENTITLEMENTS[key];
+  if (known) return { name: known.name, description: known.description, sensitive: !!known.sensitive };
+  if (key.startsWith('com.apple.private.')) {
+    return { name: key.slice('com.apple.private.'.length), description: 'Private Apple entitlement, not available to App Store apps.', sensitive: true };
+  }
+  if (key.startsWith('com.apple.security.exception.')) {
+    return { name: key.slice('com.apple.security.'.length), description: 'Sandbox exception.', sensitive: true };
+  }
+  return { name: key, description: '', sensitive: false };
+}
+
+/**
+ * Lists an app's permissions with readable names.
+ * Entitlements may be an array of keys, an array of `{ name }` objects, or a key/value map;
+ * privacy may be a key/description map or an array of `{ name, usageDescription }`.
+ * @param {object|null} appPermissions - The AltStore `appPermissions` object.
+ * @param {object[]} [legacy] - The legacy `permissions` array.
+ * @returns {PermissionEntry[]} The permissions: entitlements, then privacy, then legacy.
+ */
+export function listPermissions(appPermissions, legacy = []) {
+  const out = [];
+  const seen = new Set();
+  const push = entry => {
+    if (!entry.key || seen.has(entry.id)) return;
+    seen.add(entry.id);
+    out.push(entry);
+  };
+
+  const ents = appPermissions?.entitlements || [];
+  const entPairs = Array.isArray(ents)
+    ? ents.map(e => (typeof e === 'string' ? [e, undefined] : [e?.name, e?.value]))
+    : Object.entries(ents);
+  entPairs.forEach(([raw, value]) => {
+    // Keys come from source JSON and may be numbers or missing altogether
+    const key = raw === undefined || raw === null ? '' : String(raw).trim();
+    if (!key) return;
+    const d = describeEntitlement(key);
+    push({ id: `entitlement:${key}`, kind: 'entitlement', key, name: d.name, description: d.description, usage: '', value, sensitive: d.sensitive });
+  });
+
+  const privacy = appPermissions?.privacy || {};
+  const privacyPairs = Array.isArray(privacy)
+    ? privacy.map(p => [p?.name, p?.usageDescription])
+    : Object.entries(privacy);
+  privacyPairs.forEach(([raw, usage]) => {
+    const key = raw === undefined || raw === null ? '' : String(raw).trim();
+    if (!key) return;
+    push({ id: `privacy:${key}`, kind: 'privacy', key, name: PRIVACY[key] || privacyName(key), description: '', usage: typeof usage === 'string' ? usage : '', value: undefined, sensitive: false });
+  });
+
+  (Array.isArray(legacy) ? legacy : []).forEach(p => {
+    const key = p?.type === undefined || p?.type === null ? '' : String(p.type).trim();
+    if (!key) return;
+    push({ id: `legacy:${key}`, kind: 'legacy', key, name: LEGACY[key] || key, description: '', usage: p?.usageDescription || '', value: undefined, sensitive: false });
+  });
+  return out;
+}
+
+/**
+ * Compares two permission lists.
+ * @param {PermissionEntry[]} current - The newer version's permissions.
+ * @param {PermissionEntry[]} previous - The older version's permissions.
+ * @returns {{added: PermissionEntry[], removed: PermissionEntry[]}} What changed.
+ */
+export function diffPermissions(current, previous) {
+  const before = new Set(previous.map(p => p.id));
+  const after = new Set(current.map(p => p.id));
+  return {
+    added: current.filter(p => !before.has(p.id)),
+    removed: previous.filter(p => !after.has(p.id))
+  };
+}
@@ -0,0 +1,117 @@
+// Persistent repository cache backed by IndexedDB through localforage.
+// localforage is loaded globally by the pages and handed over with
+// setLocalforage in the worker; without it the cache is a no-op and fetchRepo
+// falls back to the network every time.
+
+// Constants
+const MAX_AGE_KEY = 'ripe_cache_max_age'; // Key for local storage
+const DEFAULT_MAX_AGE = 15 * 60 * 1000; // Revalidate after 15 minutes
+
+const stores = {};
+let lib = null; // localforage passed to setLocalforage, used instead of the global
+
+/**
+ * Sets the localforage library for this context, e.g. an ES module import inside a worker.
+ * @param {object} localforage - The localforage library.
+ */
+export function setLocalforage(localforage) {
+  lib = localforage;
+}
+
+/**
+ * Returns a localforage instance, if available.
+ * @param {string} [storeName] - 'repos' for fetched data, 'snapshots' for changelogs.
+ * @returns {object|null} The localforage instance or null.
+ */
+function getStore(storeName = 'repos') {
+  if (stores[storeName]) return stores[storeName];
+  const lf = lib || globalThis.localforage;
+  if (!lf || typeof lf.createInstance !== 'function') return null;
+  stores[storeName] = lf.createInstance({ name: 'ripestore', storeName });
+  return stores[storeName];
+}
+
+/**
+ * Reads a cached repository entry.
+ * @param {string} url - The repository URL.
+ * @returns {Promise<object|null>} The entry ({ data, hash, etag?, lastModified?, fetchedAt }) or null.
+ */
+export async function readCachedRepo(url) {
+  const s = getStore();
+  if (!s) return null;
+  try {
+    return (await s.getItem(url)) || null;
+  } catch (e) {
+    console.warn('Repo cache read failed', e);
+    return null;
+  }
+}
+
+/**
+ * Writes a repository entry to the cache.
+ * @param {string} url - The repository URL.
+ * @param {object} entry - The entry ({ data, hash, etag?, lastModified?, fetchedAt }).
+ * @returns {Promise<void>}
+ */
+export async function writeCachedRepo(url, entry) {
+  const s = getStore();
+  if (!s) return;
+  try {
+    await s.setItem(url, entry);
+  } catch (e) {
+    console.warn('Repo cache write failed', e);
+  }
+}
+
+/**
+ * Reads the stored snapshot and changelog of a repository.
+ * @param {string} url - The repository URL.
+ * @returns {Promise<object|null>} The record ({ snapshot, changelog }) or null.
+ */
+export async function readSnapshot(url) {
+  const s = getStore('snapshots');
+  if (!s) return null;
+  try {
+    return (await s.getItem(url)) || null;
+  } catch (e) {
+    console.warn('Snapshot read failed', e);
+    return null;
+  }
+}
+
+/**
+ * Writes the snapshot and changelog of a repository.
+ * @param {string} url - The repository URL.
+ * @param {object} record - The record ({ snapshot, changelog }).
+ * @returns {Promise<void>}
+ */
+export async function writeSnapshot(url, record) {
+  const s = getStore('snapshots');
+  if (!s) return;
+  try {
+    await s.setItem(url, record);
+  } catch (e) {
+    console.warn('Snapshot write failed', e);
+  }
+}
+
+/**
+ * Gets the maximum age before a cached repository is revalidated.
+ * @returns {number} The max age in milliseconds.
+ */
+export function getCacheMaxAge() {
+  try {
+    const v = parseInt(localStorage.getItem(MAX_AGE_KEY), 10);
+    return isNaN(v) || v < 0 ? DEFAULT_MAX_AGE : v;
+  } catch (_) {
+    return DEFAULT_MAX_AGE;
+  }
+}
+
+/**
+ * Sets the maximum age before a cached repository is revalidated.
+ * @param {number} ms - The max age in milliseconds; 0 always revalidates.
+ */
+export function setCacheMaxAge(ms) {
+  localStorage.setItem(MAX_AGE_KEY, String(Math.max(0, Math.floor(Number(ms) || 0))));
+}
@@ -0,0 +1,221 @@
+// Import utility functions and modules
+import { $, qs, formatAge, parseDateString, cssColor, safeURL } from './utils.js';
+import { fetchRepo } from './alt-source-kit.js';
+import { buildCard, makeLink } from './cards.js';
+import { buildNewsCard } from './news-card.js';
+
+/**
+ * Initializes the repository page.
+ */
+async function start() {
+  const src = qs('repo');
+  const header = $('#repoHeader');
+
+  if (!src) {
+    header.innerHTML = `<div class="meta"><div class="hero-title">No source selected</div><div class="hero-sub">Open a source from the Sources page.</div></div>`;
+    return;
+  }
+
+  try {
+    const out = await fetchRepo(src);
+    const repo = out.data;
+    const apps = repo.apps.map(app => ({ ...app, source: out.url, sourceName: repo.name }));
+
+    const status = $('#cacheStatus');
+    status.textContent = out.offline ? `Offline — showing cached data, last updated ${formatAge(out.fetchedAt)}` : '';
+    status.hidden = !out.offline;
+
+    applyTint(repo.tintColor);
+    document.title = `RipeStore — ${repo.name || out.url}`;
+    renderHeader(repo, out.url);
+    renderInfo(repo);
+    renderFeatured(repo, apps);
+    renderApps(apps);
+    renderNews(repo, out.url);
+  } catch (e) {
+    header.innerHTML = `<div class="meta"><div class="hero-title">Error</div><div class="hero-sub">Unable to load this source.</div></div>`;
+    console.warn(e);
+  }
+}
+
+/**
+ * Themes the page with the repository's tint color.
+ * @param {string} tintColor - The repository tint color.
+ */
+function applyTint(tintColor) {
+  const c = cssColor(tintColor);
+  if (!c) return;
+  document.documentElement.style.setProperty('--accent', c);
+  document.documentElement.style.setProperty('--tint', c);
+}
+
+/**
+ * Renders the header banner, icon, name and subtitle.
+ * @param {object} repo - The repository.
+ * @param {string} url - The repository URL.
+ */
+function renderHeader(repo, url) {
+  const header = $('#repoHeader');
+  header.innerHTML = '';
+  if (repo.headerURL) {
+    const banner = document.createElement('img');
+    banner.className = 'repo-banner';
+    banner.alt = '';
+    banner.src = repo.headerURL;
+    header.appendChild(banner);
+  }
+
+  const hero = document.createElement('div');
+  hero.className = 'hero';
+  const icon = document.createElement('div');
+  icon.className = 'icon-wrap';
+  const img = document.createElement('img');
+  img.alt = `${repo.name} icon`;
+  img.src = repo.iconURL || 'data:image/gif;base64,R0lGODlhAQABAAAAACw=';
+  icon.appendChild(img);
+  const meta = document.createElement('div');
+  meta.className = 'meta';
+  const title = document.createElement('div');
+  title.className = 'hero-title ellipsis';
+  title.textContent = repo.name || url;
+  const sub = document.createElement('div');
+  sub.className = 'hero-sub';
+  sub.textContent = repo.subtitle || '';
+  const link = document.createElement('div');
+  link.className = 'bundle-id ellipsis';
+  link.textContent = url;
+  meta.appendChild(title);
+  meta.appendChild(sub);
+  meta.appendChild(link);
+  hero.appendChild(icon);
+  hero.appendChild(meta);
+  header.appendChild(hero);
+}
+
+/**
+ * Renders the description and support links.
+ * @param {object} repo - The repository.
+ */
+function renderInfo(repo) {
+  const info = $('#repoInfo');
+  info.innerHTML = '';
+  if (repo.description) {
+    const desc = document.createElement('div');
+    desc.className = 'repo-description';
+    desc.textContent = repo.description;
+    info.appendChild(desc);
+  }
+
+  const links = document.createElement('div');
+  links.className = 'button-row';
+  [[repo.website, 'Website'], [repo.patreonURL, 'Support on Patreon']].forEach(([raw, label]) => {
+    const href = safeURL(raw);
+    if (!href) return;
+    const a = document.createElement('a');
+    a.className = 'pill no-underline';
+    a.href = href;
+    a.target = '_blank';
+    a.rel = 'noopener';
+    a.textContent = label;
+    links.appendChild(a);
+  });
+  if (links.children.length) info.appendChild(links);
+  info.hidden = !info.children.length;
+}
+
+/**
+ * Renders the featured apps carousel from the repository's featuredApps bundle IDs.
+ * @param {object} repo - The repository.
+ * @param {Array} apps - The repository's apps, tagged with their source.
+ */
+function renderFeatured(repo, apps) {
+  const box = $('#featured');
+  box.innerHTML = '';
+  const byBundle = new Map(apps.map(a => [a.bundleIdentifier, a]));
+  const featured = repo.featuredApps.map(id => byBundle.get(id)).filter(Boolean);
+  if (!featured.length) return;
+
+  const title = document.createElement('h2');
+  title.textContent = 'Featured';
+  box.appendChild(title);
+  const scrollContainer = document.createElement('div');
+  scrollContainer.className = 'screenshots-scroll-container';
+  const scroll = document.createElement('div');
+  scroll.className = 'screenshots-scroll';
+
+  featured.forEach(a => {
+    const tile = document.createElement('a');
+    tile.className = 'featured-tile no-underline';
+    tile.href = makeLink(a, a.versions?.[0]?.version || '');
+    const icon = document.createElement('div');
+    icon.className = 'icon-wrap';
+    const img = document.createElement('img');
+    img.loading = 'lazy';
+    img.alt = `${a.name} icon`;
+    img.src = a.iconURL || 'data:image/gif;base64,R0lGODlhAQABAAAAACw=';
+    icon.appendChild(img);
+    const name = document.createElement('div');
+    name.className = 'title ellipsis';
+    name.textContent = a.name || a.bundleIdentifier;
+    const sub = document.createElement('div');
+    sub.className = 'small ellipsis';
+    sub.textContent = a.subtitle || a.developerName || '';
+    tile.appendChild(icon);
+    tile.appendChild(name);
+    tile.appendChild(sub);
+    scroll.appendChild(tile);
+  });
+
+  scrollContainer.appendChild(scroll);
+  box.appendChild(scrollContainer);
+}
+
+/**
+ * Renders every app in the repository.
+ * @param {Array} apps - The repository's apps, tagged with their source.
+ */
+function renderApps(apps) {
+  const box = $('#repoApps');
+  box.innerHTML = '';
+  const title = document.createElement('h2');
+  title.textContent = `Apps (${apps.length})`;
+  box.appendChild(title);
+  const grid = document.createElement('div');
+  grid.className = 'grid';
+  grid.setAttribute('role', 'list');
+  apps.slice().sort((a, b) => (a.name || '').localeCompare(b.name || '')).forEach(a => grid.appendChild(buildCard(a)));
+  box.appendChild(grid);
+}
+
+/**
+ * Renders the repository's news, newest first.
+ * @param {object} repo - The repository.
+ * @param {string} url - The repository URL.
+ */
+function renderNews(repo, url) {
+  const box = $('#repoNews');
+  box.innerHTML = '';
+  if (!repo.news.length) return;
+
+  const title = document.createElement('h2');
+  title.textContent = 'News';
+  box.appendChild(title);
+  const bundles = new Set(repo.apps.map(a => a.bundleIdentifier));
+  const list = document.createElement('div');
+  list.className = 'rows';
+  list.setAttribute('role', 'list');
+
+  repo.news
+    .map(n => ({ n, d: parseDateString(n.date) }))
+    .sort((x, y) => (y.d ? y.d.getTime() : 0) - (x.d ? x.d.getTime() : 0))
+    .forEach(({ n, d }) => {
+      const appLink = n.appID && bundles.has(n.appID)
+        ? 'app.html?' + new URLSearchParams({ bundle: n.appID, repo: url }).toString()
+        : '';
+      list.appendChild(buildNewsCard(n, { appLink, date: d }));
+    });
+  box.appendChild(list);
+}
+
+// Start the page initialization
+start();
@@ -0,0 +1,303 @@
+// Catalog search built on Fuse.js (loaded globally by index.html, or handed
+// over with setFuse in the worker).
+// The index holds one record per bundle ID and grows as sources arrive,
+// so merging apps across sources never requires a full rebuild.
+
+// Fields searched by free-text queries, with their relative weights
+const KEYS = [
+  { name: 'name', weight: 3 },
+  { name: 'subtitle', weight: 1.5 },
+  { name: 'developerName', weight: 1.5 },
+  { name: 'bundleIdentifier', weight: 2 },
+  { name: 'versions', weight: 1 },
+  { name: 'localizedDescription', weight: 0.5 }
+];
+
+// Field prefixes accepted in queries, e.g. `dev:riley` or `beta:true`
+const PREFIXES = {
+  dev: 'developer',
+  developer: 'developer',
+  bundle: 'bundle',
+  category: 'category',
+  beta: 'beta',
+  source: 'source',
+  version: 'version'
+};
+
+const FUSE_OPTIONS = {
+  keys: KEYS,
+  includeScore: true,
+  includeMatches: true,
+  ignoreLocation: true,
+  threshold: 0.35,
+  minMatchCharLength: 2
+};
+
+// Search state
+let fuse = null; // Fuse instance, created lazily
+let FuseLib = null; // Fuse.js passed to setFuse, used instead of the global
+const records = new Map(); // Index record per app key
+
+/**
+ * Returns the key an app is indexed under.
+ * Apps without a bundle ID are kept apart per source, like mergeByBundle does.
+ * @param {object} a - The app object.
+ * @returns {string} The index key.
+ */
+function keyOf(a) {
+  const b = (a.bundleIdentifier || '').trim();
+  return b || `nobundle:${a.source || ''}:${a.name || ''}`;
+}
+
+/**
+ * Sets the Fuse.js class for this context, e.g. an ES module import inside a worker.
+ * @param {Function} Fuse - The Fuse class.
+ */
+export function setFuse(Fuse) {
+  FuseLib = Fuse;
+}
+
+/**
+ * Creates an empty Fuse index, or null when Fuse.js is unavailable.
+ * @returns {object|null} The Fuse instance.
+ */
+function createIndex() {
+  const Fuse = FuseLib || globalThis.Fuse;
+  return typeof Fuse === 'function' ? new Fuse([], FUSE_OPTIONS) : null;
+}
+
+/**
+ * Builds or extends the index record for an app.
+ * @param {object|undefined} rec - The existing record, if any.
+ * @param {object} a - The app object.
+ * @returns {object} The updated record.
+ */
+function toRecord(rec, a) {
+  const versions = (a.versions || []).map(v => v.version).filter(Boolean);
+  if (!versions.length && a.version) versions.push(a.version);
+  if (!rec) {
+    return {
+      key: keyOf(a),
+      name: a.name || '',
+      subtitle: a.subtitle || '',
+      developerName: a.developerName || '',
+      bundleIdentifier: a.bundleIdentifier || '',
+      localizedDescription: a.localizedDescription || '',
+      category: a.category || '',
+      beta: isBeta(a.beta),
+      versions: Array.from(new Set(versions)),
+      sources: a.source ? [a.source] : [],
+      sourceNames: a.sourceName ? [a.sourceName] : []
+    };
+  }
+  rec.name = rec.name || a.name || '';
+  rec.subtitle = rec.subtitle || a.subtitle || '';
+  rec.developerName = rec.developerName || a.developerName || '';
+  rec.localizedDescription = rec.localizedDescription || a.localizedDescription || '';
+  rec.category = rec.category || a.category || '';
+  rec.beta = rec.beta || isBeta(a.beta);
+  rec.versions = Array.from(new Set(rec.versions.concat(versions)));
+  if (a.source && !rec.sources.includes(a.source)) rec.sources.push(a.source);
+  if (a.sourceName && !rec.sourceNames.includes(a.sourceName)) rec.sourceNames.push(a.sourceName);
+  return rec;
+}
+
+/**
+ * Normalizes the loosely typed `beta` flag found in sources.
+ * @param {*} v - The raw value.
+ * @returns {boolean} True if the value means "beta".
+ */
+export function isBeta(v) {
+  return v === true || String(v).toLowerCase() === 'true';
+}
+
+/**
+ * Resets the search index, optionally seeding it with apps.
+ * @param {Array} [apps=[]] - The apps to index.
+ */
+export function initSearch(apps = []) {
+  records.clear();
+  fuse = createIndex();
+  addApps(apps);
+}
+
+/**
+ * Adds apps to the search index, merging them into existing records by bundle ID.
+ * @param {Array} apps - The apps to add.
+ */
+export function addApps(apps) {
+  if (!Array.isArray(apps) || apps.length === 0) return;
+  if (!fuse) fuse = createIndex();
+
+  const changed = new Map();
+  for (const a of apps) {
+    const key = keyOf(a);
+    const existed = records.has(key);
+    const rec = toRecord(records.get(key), a);
+    records.set(key, rec);
+    changed.set(key, existed);
+  }
+  if (!fuse) return;
+
+  const stale = new Set([...changed].filter(([, existed]) => existed).map(([k]) => k));
+  if (stale.size) fuse.remove(doc => stale.has(doc.key));
+  for (const key of changed.keys()) fuse.add(records.get(key));
+}
+
+/**
+ * Splits a query into field filters and free text.
+ * Values may be quoted, e.g. `dev:"Riley Testut"`.
+ * @param {string} q - The raw query.
+ * @returns {{filters: Array<{field: string, value: string}>, text: string}} The parsed query.
+ */
+export function parseQuery(q) {
+  const filters = [];
+  const words = [];
+  const re = /(\w+):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+)/g;
+  let m;
+  while ((m = re.exec(String(q || ''))) !== null) {
+    const field = m[1] && PREFIXES[m[1].toLowerCase()];
+    if (field) {
+      const value = (m[2] !== undefined ? m[2] : m[3]).trim();
+      if (value) filters.push({ field, value: value.toLowerCase() });
+    } else {
+      words.push(m[4] !== undefined ? m[4] : m[0]);
+    }
+  }
+  return { filters, text: words.join(' ').trim() };
+}
+
+/**
+ * Tests an item against a single field filter.
+ * @param {object} item - The app or version entry.
+ * @param {object} rec - The index record of the item's app.
+ * @param {{field: string, value: string}} f - The filter.
+ * @returns {boolean} True if the item passes.
+ */
+function passes(item, rec, f) {
+  const has = s => String(s || '').toLowerCase().includes(f.value);
+  switch (f.field) {
+    case 'developer': return has(item.developerName || rec?.developerName);
+    case 'bundle': return has(item.bundleIdentifier);
+    case 'category': return has(item.category || rec?.category);
+    case 'beta': return isBeta(item.beta || rec?.beta) === (f.value === 'true' || f.value === 'yes' || f.value === '1');
+    case 'source': {
+      const names = [item.source, item.sourceName].concat(rec ? rec.sources.concat(rec.sourceNames) : []);
+      return names.some(has);
+    }
+    case 'version': return has(item.version);
+    default: return true;
+  }
+}
+
+/**
+ * Collects match ranges for substring filters so they can be highlighted too.
+ * @param {object} item - The app or version entry.
+ * @param {Array} filters - The parsed field filters.
+ * @returns {object} Ranges keyed by field name.
+ */
+function filterMatches(item, filters) {
+  const fieldFor = { developer: 'developerName', bundle: 'bundleIdentifier', version: 'version' };
+  const out = {};
+  for (const f of filters) {
+    const key = fieldFor[f.field];
+    if (!key) continue;
+    const s = String(item[key] || '').toLowerCase();
+    const i = s.indexOf(f.value);
+    if (i >= 0) (out[key] = out[key] || []).push([i, i + f.value.length - 1]);
+  }
+  return out;
+}
+
+/**
+ * Searches the catalog.
+ * Each returned item is a shallow copy carrying `_score` and `_matches`
+ * (ranges per field, inclusive) for highlighting.
+ * @param {string} q - The query, possibly with field prefixes.
+ * @param {Array} items - The apps or flattened version entries to filter.
+ * @returns {Array} The matching items, best matches first.
+ */
+export function searchApps(q, items) {
+  const { filters, text } = parseQuery(q);
+  const list = Array.isArray(items) ? items : [];
+
+  // Resolve free text against the index once, per app
+  let hits = null;
+  if (text) {
+    hits = new Map();
+    if (fuse) {
+      for (const r of fuse.search(text)) {
+        const matches = {};
+        for (const m of r.matches || []) {
+          const key = m.key === 'versions' ? 'version' : m.key;
+          const entry = { indices: m.indices.map(([s, e]) => [s, e]), value: m.value };
+          (matches[key] = matches[key] || []).push(entry);
+        }
+        hits.set(r.item.key, { score: r.score, matches });
+      }
+    } else {
+      const t = text.toLowerCase();
+      for (const rec of records.values()) {
+        const fields = [rec.name, rec.subtitle, rec.developerName, rec.bundleIdentifier, rec.localizedDescription, ...rec.versions];
+        if (fields.some(s => String(s).toLowerCase().includes(t))) hits.set(rec.key, { score: 0.5, matches: {} });
+      }
+    }
+  }
+
+  const out = [];
+  for (const item of list) {
+    const key = keyOf(item);
+    const rec = records.get(key);
+    if (!filters.every(f => passes(item, rec, f))) continue;
+
+    let score = 0;
+    const matches = filterMatches(item, filters);
+    if (hits) {
+      const hit = hits.get(key);
+      if (!hit) continue;
+      // A query that only matched version strings keeps just those versions
+      const keys = Object.keys(hit.matches);
+      if (item._isVersion && keys.length === 1 && keys[0] === 'version') {
+        if (!hit.matches.version.some(m => m.value === item.version)) continue;
+      }
+      score = hit.score;
+      for (const [k, entries] of Object.entries(hit.matches)) {
+        for (const m of entries) {
+          // Version entries override some app fields, so only keep ranges for the text shown
+          if (m.value !== item[k]) continue;
+          (matches[k] = matches[k] || []).push(...m.indices);
+        }
+      }
+    }
+    out.push({ ...item, _score: score, _matches: matches });
+  }
+
+  return out.sort((a, b) => a._score - b._score);
+}
+
+/**
+ * Renders text into an element, wrapping matched ranges in <mark>.
+ * Ranges past the end of the text (e.g. after ellipsizing) are ignored.
+ * @param {HTMLElement} el - The target element.
+ * @param {string} text - The text to render.
+ * @param {Array<[number, number]>} [ranges] - Inclusive [start, end] ranges.
+ */
+export function highlight(el, text, ranges) {
+  text = String(text || '');
+  el.textContent = '';
+  const spans = (ranges || [])
+    .filter(([s, e]) => s < text.length && e >= s)
+    .map(([s, e]) => [s, Math.min(e, text.length - 1)])
+    .sort((a, b) => a[0] - b[0]);
+  let pos = 0;
+  for (const [s, e] of spans) {
+    if (e < pos) continue;
+    const start = Math.max(s, pos);
+    if (start > pos) el.appendChild(document.createTextNode(text.slice(pos, start)));
+    const mark = document.createElement('mark');
+    mark.textContent = text.slice(start, e + 1);
+    el.appendChild(mark);
+    pos = e + 1;
+  }
+  if (pos < text.length) el.appendChild(document.createTextNode(text.slice(pos)));
+}
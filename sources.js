@@ -1,68 +1,77 @@
 // Import utility functions from utils.js
-import { $ } from './utils.js';
+import { $, formatAge, cssColor } from './utils.js';
+import { fetchRepo } from './alt-source-kit.js';
+import { getSources, setSources } from './catalog.js';
+import { getCacheMaxAge, setCacheMaxAge } from './repo-cache.js';
+import { getFetchSettings, setFetchSettings } from './network.js';
+import { getDeviceProfile, setDeviceProfile } from './device.js';
+import { listTargets, getInstallSettings, setInstallSettings } from './install-targets.js';
 
-// Constants for local storage
-const KEY = 'ripe_sources';
-const DEFAULTS = ['RipeStore'];
-
-/**
- * Retrieves the list of sources from local storage.
- * @returns {string[]} An array of source URLs.
- */
-function get() {
-  try {
-    return JSON.parse(localStorage.getItem(KEY)) || DEFAULTS;
-  } catch (_) {
-    return DEFAULTS;
-  }
-}
+// Variable to track the currently selected source
+let selected = null;
 
 /**
- * Saves the list of sources to local storage.
- * @param {string[]} arr - The array of source URLs to save.
+ * Clears the selection and restores each row's health summary.
  */
-function set(arr) {
-  localStorage.setItem(KEY, JSON.stringify(arr));
+function clearSelection() {
+  selected = null;
+  Array.from(document.querySelectorAll('#sourceList .row')).forEach(r => r.classList.remove('selected'));
+  Array.from(document.querySelectorAll('#sourceList .source-status')).forEach(h => {
+    h.textContent = h.dataset.status || '';
+    h.style.color = h.dataset.failed ? 'crimson' : 'var(--text-dim)';
+  });
 }
 
-// Variable to track the currently selected source
-let selected = null;
-
 /**
  * Renders the list of sources in the UI.
  */
 function render() {
   const box = $('#sourceList');
   box.innerHTML = '';
-  get().forEach(url => {
+  getSources().forEach(url => {
     const row = document.createElement('div');
-    row.className = 'row';
-    const lab = document.createElement('div');
-    lab.className = 'label';
-    lab.textContent = 'Source';
+    row.className = 'row source-row';
+    const icon = document.createElement('div');
+    icon.className = 'icon-wrap source-icon';
+    const img = document.createElement('img');
+    img.alt = '';
+    img.src = 'data:image/gif;base64,R0lGODlhAQABAAAAACw=';
+    icon.appendChild(img);
     const val = document.createElement('div');
-    val.className = 'value ellipsis';
-    val.textContent = url;
+    val.className = 'value';
+    const name = document.createElement('div');
+    name.className = 'title ellipsis';
+    name.textContent = url;
+    const link = document.createElement('div');
+    link.className = 'small ellipsis source-url';
+    link.textContent = url;
     const hint = document.createElement('div');
-    hint.className = 'small';
-    hint.textContent = '';
+    hint.className = 'small source-status';
+    hint.textContent = 'Loading…';
     hint.style.color = 'var(--text-dim)';
-    row.appendChild(lab);
+    val.appendChild(name);
+    val.appendChild(link);
+    val.appendChild(hint);
+    const right = document.createElement('div');
+    right.className = 'right';
+    row.appendChild(icon);
     row.appendChild(val);
-    row.appendChild(hint);
+    row.appendChild(right);
+
+    loadHealth(url, { row, img, name, hint, right });
 
     // Event listener for selecting and removing sources
-    row.addEventListener('click', () => {
-      const list = get();
+    row.addEventListener('click', (e) => {
+      if (e.target.closest('.pill')) return;
+      const list = getSources();
       if (selected === url) {
-        set(list.filter(x => x !== url));
+        setSources(list.filter(x => x !== url));
         selected = null;
         render();
         return;
       }
+      clearSelection();
       selected = url;
-      Array.from(document.querySelectorAll('#sourceList .row')).forEach(r => r.classList.remove('selected'));
-      Array.from(document.querySelectorAll('#sourceList .row .small')).forEach(h => h.textContent = '');
       row.classList.add('selected');
       hint.textContent = 'Tap again to remove';
       hint.style.color = 'crimson';
@@ -71,28 +80,282 @@ function render() {
   });
 }
 
+/**
+ * Loads a source and fills its row with health details.
+ * @param {string} url - The source URL or short name.
+ * @param {object} els - The row's elements.
+ */
+async function loadHealth(url, { row, img, name, hint, right }) {
+  right.innerHTML = '';
+  hint.textContent = 'Loading…';
+  delete hint.dataset.failed;
+
+  let status;
+  try {
+    const out = await fetchRepo(url);
+    const repo = out.data;
+    name.textContent = repo.name || url;
+    if (repo.iconURL) img.src = repo.iconURL;
+    if (repo.tintColor) row.style.borderLeft = `3px solid ${cssColor(repo.tintColor)}`;
+    const parts = [
+      `${repo.apps.length} app${repo.apps.length === 1 ? '' : 's'}`,
+      `${repo.news.length} news`,
+      out.fetchedAt ? `fetched ${formatAge(out.fetchedAt)}` : '',
+      out.responseTime ? `${out.responseTime} ms` : ''
+    ];
+    if (out.offline) parts.push('offline');
+    status = parts.filter(Boolean).join(' · ');
+  } catch (e) {
+    status = e.message || 'Failed to load';
+    hint.dataset.failed = '1';
+    const retry = document.createElement('button');
+    retry.className = 'pill';
+    retry.textContent = 'Retry';
+    retry.addEventListener('click', () => loadHealth(url, { row, img, name, hint, right }));
+    right.appendChild(retry);
+  }
+
+  if (!hint.dataset.failed) {
+    const open = document.createElement('a');
+    open.className = 'pill no-underline';
+    open.href = 'repo.html?' + new URLSearchParams({ repo: url }).toString();
+    open.textContent = 'Open';
+    right.appendChild(open);
+  }
+
+  const report = document.createElement('a');
+  report.className = 'pill no-underline';
+  report.href = 'validate.html?' + new URLSearchParams({ url }).toString();
+  report.textContent = 'Report';
+  right.appendChild(report);
+
+  hint.dataset.status = status;
+  if (selected !== url) {
+    hint.textContent = status;
+    hint.style.color = hint.dataset.failed ? 'crimson' : 'var(--text-dim)';
+  }
+}
+
+/**
+ * Extracts a source URL from a plain URL or an altstore:// / sidestore:// deep link.
+ * @param {string} s - The raw input.
+ * @returns {string} The source URL, or '' if there is none.
+ */
+function parseSourceLink(s) {
+  s = String(s || '').trim();
+  const m = s.match(/^(altstore|sidestore):\/\/source\/?\?(.*)$/i);
+  if (m) {
+    const url = new URLSearchParams(m[2]).get('url');
+    return url ? url.trim() : '';
+  }
+  return s;
+}
+
+/**
+ * Parses a bulk import: a JSON array of URLs (or { sources: [...] }), or one URL per line.
+ * @param {string} text - The raw text.
+ * @returns {string[]} The source URLs, without duplicates.
+ */
+function parseSourceList(text) {
+  let items = null;
+  try {
+    const data = JSON.parse(text);
+    if (Array.isArray(data)) items = data;
+    else if (data && Array.isArray(data.sources)) items = data.sources;
+  } catch (_) {}
+  if (!items) items = String(text || '').split(/[\r\n]+/);
+  const urls = items
+    .map(x => parseSourceLink(typeof x === 'string' ? x : x?.url))
+    .filter(Boolean);
+  return Array.from(new Set(urls));
+}
+
+/**
+ * Adds sources after asking the user to confirm.
+ * @param {string[]} urls - The source URLs to add.
+ * @param {boolean} [ask=true] - Whether to confirm first.
+ * @returns {number} The number of sources added.
+ */
+function addSources(urls, ask = true) {
+  const list = getSources();
+  const fresh = urls.filter(u => !list.includes(u));
+  if (!fresh.length) return 0;
+  const msg = fresh.length === 1
+    ? `Add this source?\n\n${fresh[0]}`
+    : `Add ${fresh.length} sources?\n\n${fresh.join('\n')}`;
+  if (ask && !confirm(msg)) return 0;
+  setSources(list.concat(fresh));
+  selected = null;
+  render();
+  return fresh.length;
+}
+
+/**
+ * Builds a link that re-imports the current source list on this page.
+ * @returns {string} The share link.
+ */
+function shareLink() {
+  const params = new URLSearchParams();
+  getSources().forEach(u => params.append('add', u));
+  return location.origin + location.pathname + '?' + params.toString();
+}
+
 // Event listener for the "Add" button
 $('#addBtn').addEventListener('click', () => {
-  const v = $('#newSource').value.trim();
+  const v = parseSourceLink($('#newSource').value);
   if (!v) return;
-  const list = get();
-  if (!list.includes(v)) {
-    list.push(v);
-    set(list);
-    render();
-  }
+  const wasLink = v !== $('#newSource').value.trim();
+  addSources([v], wasLink);
   $('#newSource').value = '';
   selected = null;
 });
 
+// Event listeners for bulk import
+$('#importBtn').addEventListener('click', () => {
+  const urls = parseSourceList($('#bulkSources').value);
+  if (addSources(urls)) $('#bulkSources').value = '';
+});
+
+$('#importFile').addEventListener('change', async (e) => {
+  const file = e.target.files?.[0];
+  if (!file) return;
+  addSources(parseSourceList(await file.text()));
+  e.target.value = '';
+});
+
+// Event listeners for export
+$('#exportJsonBtn').addEventListener('click', () => {
+  const blob = new Blob([JSON.stringify(getSources(), null, 2)], { type: 'application/json' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = 'ripestore-sources.json';
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+});
+
+$('#shareLinkBtn').addEventListener('click', async () => {
+  const link = shareLink();
+  try {
+    await navigator.clipboard.writeText(link);
+    $('#shareLinkBtn').textContent = 'Link copied';
+    setTimeout(() => { $('#shareLinkBtn').textContent = 'Copy share link'; }, 1500);
+  } catch (_) {
+    prompt('Copy this link:', link);
+  }
+});
+
 // Event listener to deselect a source when clicking outside the list
 document.addEventListener('click', (e) => {
   if (!e.target.closest('#sourceList')) {
-    selected = null;
-    Array.from(document.querySelectorAll('#sourceList .row')).forEach(r => r.classList.remove('selected'));
-    Array.from(document.querySelectorAll('#sourceList .row .small')).forEach(h => h.textContent = '');
+    clearSelection();
+  }
+});
+
+// Cache max age setting
+const maxAgeSel = $('#cacheMaxAge');
+const currentMaxAge = String(getCacheMaxAge());
+if (!Array.from(maxAgeSel.options).some(o => o.value === currentMaxAge)) {
+  const opt = document.createElement('option');
+  opt.value = currentMaxAge;
+  opt.textContent = `After ${Math.round(getCacheMaxAge() / 60000)} minutes`;
+  maxAgeSel.appendChild(opt);
+}
+maxAgeSel.value = currentMaxAge;
+maxAgeSel.addEventListener('change', () => setCacheMaxAge(Number(maxAgeSel.value)));
+
+// Network settings
+const fetchSettings = getFetchSettings();
+[['#fetchTimeout', 'timeout'], ['#fetchRetries', 'retries'], ['#fetchConcurrency', 'concurrency']].forEach(([sel, key]) => {
+  const el = $(sel);
+  const value = String(fetchSettings[key]);
+  if (!Array.from(el.options).some(o => o.value === value)) {
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = value;
+    el.appendChild(opt);
+  }
+  el.value = value;
+  el.addEventListener('change', () => setFetchSettings({ [key]: Number(el.value) }));
+});
+$('#fetchProxy').value = fetchSettings.proxy;
+$('#fetchProxy').addEventListener('change', e => setFetchSettings({ proxy: e.target.value.trim() }));
+
+// Device profile settings
+const device = getDeviceProfile();
+$('#deviceIos').value = device.ios;
+$('#deviceFamily').value = device.family;
+$('#deviceMode').value = device.mode;
+$('#deviceIos').addEventListener('change', e => {
+  const v = e.target.value.trim();
+  if (v && !/^\d+(\.\d+)*$/.test(v)) {
+    e.target.value = getDeviceProfile().ios;
+    return;
   }
+  setDeviceProfile({ ios: v });
 });
+$('#deviceFamily').addEventListener('change', e => setDeviceProfile({ family: e.target.value }));
+$('#deviceMode').addEventListener('change', e => setDeviceProfile({ mode: e.target.value }));
+
+/**
+ * Renders the install target settings.
+ */
+function renderTargets() {
+  const box = $('#targetList');
+  box.innerHTML = '';
+  listTargets().forEach(t => {
+    const row = document.createElement('div');
+    row.className = 'row target-row';
+    const on = document.createElement('input');
+    on.type = 'checkbox';
+    on.checked = t.enabled;
+    on.setAttribute('aria-label', `Show ${t.label}`);
+    on.addEventListener('change', () => {
+      const disabled = getInstallSettings().disabled.filter(id => id !== t.id);
+      if (!on.checked) disabled.push(t.id);
+      setInstallSettings({ disabled });
+    });
+    const lab = document.createElement('div');
+    lab.className = 'label';
+    lab.textContent = t.label;
+    const tpl = document.createElement('input');
+    tpl.className = 'input value';
+    tpl.value = t.template;
+    tpl.placeholder = t.defaultTemplate;
+    tpl.addEventListener('change', () => {
+      const templates = { ...getInstallSettings().templates };
+      const v = tpl.value.trim();
+      if (!v || v === t.defaultTemplate) delete templates[t.id];
+      else templates[t.id] = v;
+      setInstallSettings({ templates });
+      if (!v) tpl.value = t.defaultTemplate;
+    });
+    const def = document.createElement('input');
+    def.type = 'radio';
+    def.name = 'defaultTarget';
+    def.checked = t.isDefault;
+    def.title = 'Use for the main download button';
+    def.setAttribute('aria-label', `Make ${t.label} the default`);
+    def.addEventListener('change', () => setInstallSettings({ defaultId: t.id }));
+    row.appendChild(on);
+    row.appendChild(lab);
+    row.appendChild(tpl);
+    row.appendChild(def);
+    box.appendChild(row);
+  });
+}
+
+renderTargets();
+$('#manifestHost').value = getInstallSettings().manifestHost;
+$('#manifestHost').addEventListener('change', e => setInstallSettings({ manifestHost: e.target.value.trim() }));
 
 // Initial render of the source list
 render();
+
+// Handle sources.html?add=… links (repeatable, deep links allowed)
+const incoming = new URLSearchParams(location.search).getAll('add').map(parseSourceLink).filter(Boolean);
+if (incoming.length) {
+  history.replaceState(null, '', location.pathname);
+  addSources(incoming);
+}
@@ -0,0 +1,175 @@
+// Service worker: offline app shell plus a bounded runtime image cache.
+//
+// Bump VERSION on every deploy. The new worker precaches the shell under a
+// fresh name, deletes the old caches on activate, and pages reload once it
+// takes control, so nobody keeps running stale modules.
+
+const VERSION = 'v22';
+const SHELL_CACHE = `ripestore-shell-${VERSION}`;
+const IMAGE_CACHE = `ripestore-images-${VERSION}`;
+const OPAQUE_CACHE = `ripestore-opaque-${VERSION}`;
+const MAX_IMAGES = 150;
+const MAX_IMAGE_BYTES = 2 * 1024 * 1024; // Skip caching anything larger
+// Opaque (no-cors) responses hide their size and count as several MB of quota
+// each, so they get their own, much smaller cache capped by entry count
+const MAX_OPAQUE_IMAGES = 40;
+
+const SHELL = [
+  './',
+  'index.html',
+  'app.html',
+  'sources.html',
+  'news.html',
+  'repo.html',
+  'validate.html',
+  'builder.html',
+  'changes.html',
+  'export.html',
+  'offline.html',
+  'style.css',
+  'manifest.webmanifest',
+  'favicon.png',
+  'icon-192.png',
+  'utils.js',
+  'alt-source-kit.js',
+  'alt-source-core.js',
+  'network.js',
+  'repo-cache.js',
+  'catalog.js',
+  'catalog-engine.js',
+  'catalog-client.js',
+  'catalog-worker.js',
+  'cards.js',
+  'news-card.js',
+  'virtual-grid.js',
+  'search.js',
+  'facets.js',
+  'permissions.js',
+  'lightbox.js',
+  'device.js',
+  'watchlist.js',
+  'install-targets.js',
+  'changelog.js',
+  'export-source.js',
+  'validator.js',
+  'register-sw.js',
+  'app.js',
+  'app_page.js',
+  'sources.js',
+  'news_page.js',
+  'repo_page.js',
+  'validate_page.js',
+  'builder_page.js',
+  'changes_page.js',
+  'export_page.js'
+];
+
+// Third-party libraries are cached too, but one failing CDN request must not fail the install
+const CDN = [
+  'https://cdn.jsdelivr.net/npm/localforage@1.10.0/dist/localforage.min.js',
+  'https://cdn.jsdelivr.net/npm/localforage@1.10.0/+esm',
+  'https://cdn.jsdelivr.net/npm/fuse.js@6.6.2/dist/fuse.min.js',
+  'https://cdn.jsdelivr.net/npm/fuse.js@6.6.2/dist/fuse.esm.min.js'
+];
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => Promise.all([
+        cache.addAll(SHELL.map(u => new Request(u, { cache: 'reload' }))),
+        ...CDN.map(u => cache.add(new Request(u, { cache: 'reload' })).catch(e => console.warn(`Could not precache ${u}`, e)))
+      ]))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(k => k.startsWith('ripestore-') && ![SHELL_CACHE, IMAGE_CACHE, OPAQUE_CACHE].includes(k))
+        .map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', event => {
+  const req = event.request;
+  if (req.method !== 'GET') return;
+  const url = new URL(req.url);
+
+  if (req.mode === 'navigate') {
+    event.respondWith(networkFirst(req, true));
+  } else if (url.origin === location.origin || CDN.includes(req.url)) {
+    if (url.pathname.endsWith('.json')) return; // Sources are cached by the app in IndexedDB
+    event.respondWith(networkFirst(req, false));
+  } else if (req.destination === 'image') {
+    event.respondWith(cacheImage(req));
+  }
+});
+
+/**
+ * Serves shell files and the CDN libraries from the network, refreshing the cache, and falls back
+ * to the cache (or the offline page for navigations) when offline.
+ * @param {Request} req - The request.
+ * @param {boolean} isPage - Whether this is a page navigation.
+ * @returns {Promise<Response>} The response.
+ */
+async function networkFirst(req, isPage) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const res = await fetch(req);
+    // Classic <script> tags load the CDN libraries no-cors, so those responses are opaque
+    if (res.ok || (res.type === 'opaque' && CDN.includes(req.url))) cache.put(isPage ? new URL(req.url).pathname : req, res.clone());
+    return res;
+  } catch (e) {
+    const hit = await cache.match(req, { ignoreSearch: isPage });
+    if (hit) return hit;
+    if (isPage) return (await cache.match('offline.html')) || Response.error();
+    throw e;
+  }
+}
+
+/**
+ * Serves icons and screenshots cache-first.
+ * Readable responses are kept up to MAX_IMAGES entries of at most MAX_IMAGE_BYTES;
+ * opaque ones go to a separate cache of MAX_OPAQUE_IMAGES entries.
+ * @param {Request} req - The image request.
+ * @returns {Promise<Response>} The response.
+ */
+async function cacheImage(req) {
+  const hit = await caches.match(req, { cacheName: IMAGE_CACHE }) || await caches.match(req, { cacheName: OPAQUE_CACHE });
+  if (hit) return hit;
+  let res;
+  try {
+    res = await fetch(req);
+  } catch (e) {
+    return new Response('', { status: 504, statusText: 'Offline' });
+  }
+  if (res.type === 'opaque') {
+    const cache = await caches.open(OPAQUE_CACHE);
+    await cache.put(req, res.clone());
+    trimCache(cache, MAX_OPAQUE_IMAGES);
+  } else if (res.ok) {
+    // Content-Length may be missing (chunked or compressed), so measure the body
+    const size = Number(res.headers.get('Content-Length')) || (await res.clone().blob()).size;
+    if (size <= MAX_IMAGE_BYTES) {
+      const cache = await caches.open(IMAGE_CACHE);
+      await cache.put(req, res.clone());
+      trimCache(cache, MAX_IMAGES);
+    }
+  }
+  return res;
+}
+
+/**
+ * Deletes the oldest entries until the cache holds at most `max` items.
+ * @param {Cache} cache - The cache.
+ * @param {number} max - The maximum number of entries.
+ */
+async function trimCache(cache, max) {
+  const keys = await cache.keys();
+  for (let i = 0; i < keys.length - max; i++) {
+    await cache.delete(keys[i]);
+  }
+}
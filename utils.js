@@ -1,3 +1,6 @@
+// Import utility functions and modules
+import { request } from './network.js';
+
 /**
  * A shorthand for document.querySelector.
  * @param {string} q - The selector query.
@@ -64,6 +67,24 @@ export function formatDate(s) {
   }
 }
 
+/**
+ * Formats a byte count into a readable size, e.g. "12.4 MB".
+ * @param {number|string} n - The size in bytes.
+ * @returns {string} The formatted size, or '' if unknown.
+ */
+export function formatSize(n) {
+  const b = Number(n);
+  if (!Number.isFinite(b) || b <= 0) return '';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let i = 0;
+  let v = b;
+  while (v >= 1024 && i < units.length - 1) {
+    v /= 1024;
+    i++;
+  }
+  return `${v >= 10 || i === 0 ? Math.round(v) : v.toFixed(1)} ${units[i]}`;
+}
+
 /**
  * A shorthand for document.querySelectorAll.
  * @param {string} q - The selector query.
@@ -84,6 +105,32 @@ export function ellipsize(s, n = 120) {
   return s.length > n ? s.slice(0, n - 1) + "…" : s;
 }
 
+/**
+ * Checks a link taken from source JSON, so `javascript:` and other schemes never reach an href.
+ * @param {string} url - The URL.
+ * @returns {string} The absolute http(s) URL, or '' if the URL is unusable.
+ */
+export function safeURL(url) {
+  if (!url) return '';
+  try {
+    const u = new URL(String(url));
+    return u.protocol === 'http:' || u.protocol === 'https:' ? u.href : '';
+  } catch (_) {
+    return '';
+  }
+}
+
+/**
+ * Normalizes a source tint color, which may omit the leading '#'.
+ * @param {string} c - The color, e.g. "FF6B6B" or "#ff6b6b".
+ * @returns {string} A CSS color, or '' if none was given.
+ */
+export function cssColor(c) {
+  if (!c) return '';
+  c = String(c).trim();
+  return /^[0-9a-f]{3,8}$/i.test(c) ? '#' + c : c;
+}
+
 /**
  * Gets a query string parameter from the URL.
  * @param {string} k - The key of the query parameter.
@@ -100,12 +147,92 @@ export function qs(k) {
 /**
  * Fetches and parses JSON from a URL.
  * @param {string} url - The URL to fetch.
+ * @param {object} [options] - Request options (signal, onProgress, timeout, retries); see network.js.
  * @returns {Promise<any>} A promise that resolves with the parsed JSON data.
  */
-export async function fetchJSON(url) {
-  const res = await fetch(url, { cache: 'no-cache' });
-  if (!res.ok) throw new Error(`Fetch failed ${res.status}`);
-  const text = await res.text();
+export async function fetchJSON(url, options = {}) {
+  return request(url, {
+    ...options,
+    init: { cache: 'no-cache' },
+    parse: async res => {
+      if (!res.ok) throw new Error(`Fetch failed ${res.status}`);
+      return parseJSONText(await res.text());
+    }
+  });
+}
+
+/**
+ * Fetches JSON from a URL, skipping the parse when the content did not change since a previous fetch.
+ *
+ * Same-origin sources are revalidated with If-None-Match / If-Modified-Since,
+ * so an unchanged source answers 304 without a body. Cross-origin sources
+ * cannot do that: the conditional headers would trigger a CORS preflight and
+ * ETag is not readable there, so the body is downloaded and compared by hash.
+ *
+ * @param {string} url - The URL to fetch.
+ * @param {{hash?: string, etag?: string, lastModified?: string}} [prev] - What the previous fetch returned.
+ * @param {object} [options] - Request options (signal, onProgress, timeout, retries); see network.js.
+ * @returns {Promise<{notModified: boolean, data?: any, hash: string, etag: string, lastModified: string}>} The result;
+ *   etag and lastModified are only kept for same-origin sources.
+ */
+export async function fetchJSONValidated(url, prev = {}, options = {}) {
+  const conditional = isSameOrigin(url);
+  const headers = {};
+  if (conditional && prev.etag) headers['If-None-Match'] = prev.etag;
+  if (conditional && prev.lastModified) headers['If-Modified-Since'] = prev.lastModified;
+  // With explicit validators the HTTP cache steps aside and the 304 reaches us
+  const init = Object.keys(headers).length ? { cache: 'no-store', headers } : { cache: 'no-cache' };
+  return request(url, {
+    ...options,
+    init,
+    parse: async res => {
+      if (res.status === 304) {
+        return { notModified: true, hash: prev.hash || '', etag: prev.etag || '', lastModified: prev.lastModified || '' };
+      }
+      if (!res.ok) throw new Error(`Fetch failed ${res.status}`);
+      const etag = conditional ? res.headers.get('ETag') || '' : '';
+      const lastModified = conditional ? res.headers.get('Last-Modified') || '' : '';
+      const text = await res.text();
+      const hash = hashText(text);
+      if (prev.hash && hash === prev.hash) return { notModified: true, hash, etag, lastModified };
+      return { notModified: false, data: parseJSONText(text), hash, etag, lastModified };
+    }
+  });
+}
+
+/**
+ * Tells whether a URL is on the page's (or worker's) own origin.
+ * @param {string} url - The URL.
+ * @returns {boolean} True for same-origin URLs; false outside a browser.
+ */
+function isSameOrigin(url) {
+  try {
+    return typeof location !== 'undefined' && new URL(url, location.href).origin === location.origin;
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Hashes a response body to detect changes (FNV-1a, 32 bits, plus the length).
+ * @param {string} text - The text.
+ * @returns {string} The hash.
+ */
+function hashText(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return `${text.length.toString(36)}-${(h >>> 0).toString(36)}`;
+}
+
+/**
+ * Parses a JSON payload, tolerating junk around the top-level object or array.
+ * @param {string} text - The response text.
+ * @returns {any} The parsed data.
+ */
+function parseJSONText(text) {
   try {
     return JSON.parse(text);
   } catch (_) {}
@@ -114,6 +241,22 @@ export async function fetchJSON(url) {
   return JSON.parse(m[0]);
 }
 
+/**
+ * Formats a timestamp as a relative age, e.g. "5 minutes ago".
+ * @param {number} ts - The timestamp in milliseconds.
+ * @returns {string} The relative age.
+ */
+export function formatAge(ts) {
+  if (!ts) return '';
+  const min = Math.max(0, Math.round((Date.now() - ts) / 60000));
+  if (min < 1) return 'just now';
+  if (min < 60) return `${min} minute${min === 1 ? '' : 's'} ago`;
+  const h = Math.round(min / 60);
+  if (h < 24) return `${h} hour${h === 1 ? '' : 's'} ago`;
+  const d = Math.round(h / 24);
+  return `${d} day${d === 1 ? '' : 's'} ago`;
+}
+
 
 /**
  * Compares two semantic version strings.
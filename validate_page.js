@@ -0,0 +1,86 @@
+// Import utility functions and modules
+import { $, qs, fetchJSON } from './utils.js';
+import { resolveRepoURL, detectFormat } from './alt-source-kit.js';
+import { validateSource, summarize } from './validator.js';
+
+/**
+ * Fetches a source and renders its validation report.
+ * @param {string} src - The source URL or short name.
+ */
+async function run(src) {
+  const report = $('#report');
+  const summary = $('#summary');
+  report.innerHTML = '';
+  summary.hidden = true;
+  if (!src) return;
+
+  const url = resolveRepoURL(src);
+  report.textContent = 'Loading…';
+
+  let diags;
+  let format = '';
+  try {
+    const data = await fetchJSON(url);
+    format = detectFormat(data);
+    diags = validateSource(data);
+  } catch (e) {
+    diags = [{ level: 'error', path: '$', message: `Could not load source: ${e.message}` }];
+  }
+
+  const { errors, warnings } = summarize(diags);
+  summary.textContent = '';
+  const title = document.createElement('div');
+  title.className = 'title ellipsis';
+  title.textContent = url;
+  const counts = document.createElement('div');
+  counts.className = 'sub';
+  counts.textContent = errors || warnings
+    ? `${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'}`
+    : 'No problems found';
+  summary.appendChild(title);
+  summary.appendChild(counts);
+  if (format) {
+    const fmt = document.createElement('div');
+    fmt.className = 'small';
+    fmt.textContent = `Format: ${format}`;
+    summary.appendChild(fmt);
+  }
+  summary.hidden = false;
+
+  report.innerHTML = '';
+  diags.forEach(d => {
+    const row = document.createElement('div');
+    row.className = 'row diag';
+    const badge = document.createElement('div');
+    badge.className = `badge diag-${d.level}`;
+    badge.textContent = d.level;
+    const val = document.createElement('div');
+    val.className = 'value';
+    const msg = document.createElement('div');
+    msg.textContent = d.message;
+    const path = document.createElement('div');
+    path.className = 'small diag-path';
+    path.textContent = d.path;
+    val.appendChild(msg);
+    val.appendChild(path);
+    row.appendChild(badge);
+    row.appendChild(val);
+    report.appendChild(row);
+  });
+}
+
+// Event listener for the "Validate" button
+$('#validateBtn').addEventListener('click', () => {
+  const v = $('#sourceUrl').value.trim();
+  if (!v) return;
+  const params = new URLSearchParams({ url: v });
+  history.replaceState(null, '', 'validate.html?' + params.toString());
+  run(v);
+});
+
+// Validate the source passed in the URL, if any
+const initial = qs('url');
+if (initial) {
+  $('#sourceUrl').value = initial;
+  run(initial);
+}
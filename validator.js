@@ -0,0 +1,183 @@
+// Schema validation for AltStore-compatible sources.
+// Works on the raw JSON, before the ASRepository constructors paper over
+// missing or mistyped fields, and returns structured diagnostics.
+
+import { parseDateString } from './utils.js';
+import { adaptSource } from './alt-source-core.js';
+
+/**
+ * @typedef {object} Diagnostic
+ * @property {'error'|'warning'} level - How serious the problem is.
+ * @property {string} path - JSON path of the offending value, e.g. `$.apps[2].versions[0].downloadURL`.
+ * @property {string} message - A human-readable description.
+ */
+
+const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isNonEmptyString = v => typeof v === 'string' && v.trim() !== '';
+
+/**
+ * Checks that a size value is numeric (numbers or numeric strings).
+ * @param {*} v - The value.
+ * @returns {boolean} True if the size is usable.
+ */
+function isNumericSize(v) {
+  if (typeof v === 'number') return Number.isFinite(v) && v >= 0;
+  return typeof v === 'string' && /^\d+(\.\d+)?$/.test(v.trim());
+}
+
+/**
+ * Validates a raw source document.
+ * @param {*} data - The parsed source JSON.
+ * @returns {Diagnostic[]} The diagnostics, in document order.
+ */
+export function validateSource(data) {
+  const out = [];
+  const error = (path, message) => out.push({ level: 'error', path, message });
+  const warn = (path, message) => out.push({ level: 'warning', path, message });
+
+  // Third-party layouts are checked through their AltStore conversion
+  const adapted = adaptSource(data);
+  if (adapted.format === 'scarlet' || adapted.format === 'flat-array') {
+    warn('$', `Source uses the ${adapted.format} layout, not the AltStore schema; checking its converted form`);
+    data = adapted.data;
+  }
+
+  if (!isObject(data)) {
+    error('$', 'Source must be a JSON object');
+    return out;
+  }
+
+  if (!isNonEmptyString(data.name)) warn('$.name', 'Missing source name');
+  if (!isNonEmptyString(data.identifier)) warn('$.identifier', 'Missing source identifier');
+  if (data.iconURL !== undefined && !isNonEmptyString(data.iconURL)) warn('$.iconURL', 'iconURL should be a non-empty string');
+
+  const bundles = new Map();
+  if (!Array.isArray(data.apps)) {
+    error('$.apps', data.apps === undefined ? 'Missing apps array' : 'apps must be an array');
+  } else {
+    data.apps.forEach((app, i) => validateApp(app, `$.apps[${i}]`, { error, warn }, bundles));
+  }
+
+  if (data.featuredApps !== undefined) {
+    if (!Array.isArray(data.featuredApps)) {
+      error('$.featuredApps', 'featuredApps must be an array of bundle IDs');
+    } else {
+      data.featuredApps.forEach((id, i) => {
+        if (!bundles.has(id)) warn(`$.featuredApps[${i}]`, `Featured app "${id}" is not in the apps list`);
+      });
+    }
+  }
+
+  if (data.news !== undefined) {
+    if (!Array.isArray(data.news)) {
+      error('$.news', 'news must be an array');
+    } else {
+      data.news.forEach((n, i) => validateNews(n, `$.news[${i}]`, { error, warn }, bundles));
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Validates one app entry.
+ * @param {*} app - The raw app.
+ * @param {string} path - Its JSON path.
+ * @param {{error: Function, warn: Function}} report - Diagnostic sinks.
+ * @param {Map<string, string>} bundles - Bundle IDs seen so far, mapped to their path.
+ */
+function validateApp(app, path, { error, warn }, bundles) {
+  if (!isObject(app)) {
+    error(path, 'App must be an object');
+    return;
+  }
+
+  if (!isNonEmptyString(app.bundleIdentifier)) {
+    error(`${path}.bundleIdentifier`, 'Missing bundleIdentifier');
+  } else if (bundles.has(app.bundleIdentifier)) {
+    error(`${path}.bundleIdentifier`, `Duplicate bundleIdentifier "${app.bundleIdentifier}" (first at ${bundles.get(app.bundleIdentifier)})`);
+  } else {
+    bundles.set(app.bundleIdentifier, path);
+  }
+
+  if (!isNonEmptyString(app.name)) warn(`${path}.name`, 'Missing app name');
+  if (!isNonEmptyString(app.iconURL)) warn(`${path}.iconURL`, 'Missing iconURL');
+  if (!isNonEmptyString(app.developerName)) warn(`${path}.developerName`, 'Missing developerName');
+
+  if (app.versions !== undefined && !Array.isArray(app.versions)) {
+    error(`${path}.versions`, 'versions must be an array');
+  } else if (Array.isArray(app.versions) && app.versions.length) {
+    app.versions.forEach((v, j) => validateVersion(v, `${path}.versions[${j}]`, { error, warn }));
+  } else if (isNonEmptyString(app.downloadURL)) {
+    // Legacy single-version layout
+    warn(`${path}.versions`, 'No versions array; using legacy top-level version fields');
+    if (app.versionDate !== undefined && !parseDateString(app.versionDate)) {
+      warn(`${path}.versionDate`, `Unparseable date "${app.versionDate}"`);
+    }
+    if (app.size !== undefined && !isNumericSize(app.size)) error(`${path}.size`, `Size must be numeric, got ${JSON.stringify(app.size)}`);
+  } else {
+    error(`${path}.versions`, 'App has no versions and no downloadURL');
+  }
+
+  if (app.permissions !== undefined) {
+    if (!Array.isArray(app.permissions)) {
+      warn(`${path}.permissions`, 'permissions must be an array');
+    } else {
+      app.permissions.forEach((p, k) => {
+        if (!isObject(p) || !isNonEmptyString(p.type)) warn(`${path}.permissions[${k}].type`, 'Permission is missing its type');
+      });
+    }
+  }
+  if (app.appPermissions !== undefined && !isObject(app.appPermissions)) {
+    warn(`${path}.appPermissions`, 'appPermissions must be an object');
+  }
+}
+
+/**
+ * Validates one version entry.
+ * @param {*} v - The raw version.
+ * @param {string} path - Its JSON path.
+ * @param {{error: Function, warn: Function}} report - Diagnostic sinks.
+ */
+function validateVersion(v, path, { error, warn }) {
+  if (!isObject(v)) {
+    error(path, 'Version must be an object');
+    return;
+  }
+  if (!isNonEmptyString(v.version)) error(`${path}.version`, 'Missing version string');
+  if (!isNonEmptyString(v.downloadURL)) error(`${path}.downloadURL`, 'Version has no downloadURL');
+  if (v.date === undefined || v.date === '') warn(`${path}.date`, 'Missing date');
+  else if (!parseDateString(v.date)) error(`${path}.date`, `Unparseable date "${v.date}"`);
+  if (v.size === undefined) warn(`${path}.size`, 'Missing size');
+  else if (!isNumericSize(v.size)) error(`${path}.size`, `Size must be numeric, got ${JSON.stringify(v.size)}`);
+}
+
+/**
+ * Validates one news entry.
+ * @param {*} n - The raw news item.
+ * @param {string} path - Its JSON path.
+ * @param {{error: Function, warn: Function}} report - Diagnostic sinks.
+ * @param {Map<string, string>} bundles - Bundle IDs in the source.
+ */
+function validateNews(n, path, { error, warn }, bundles) {
+  if (!isObject(n)) {
+    error(path, 'News item must be an object');
+    return;
+  }
+  if (!isNonEmptyString(n.identifier)) warn(`${path}.identifier`, 'Missing news identifier');
+  if (!isNonEmptyString(n.title)) warn(`${path}.title`, 'Missing news title');
+  if (n.date !== undefined && !parseDateString(n.date)) warn(`${path}.date`, `Unparseable date "${n.date}"`);
+  if (isNonEmptyString(n.appID) && !bundles.has(n.appID)) warn(`${path}.appID`, `News refers to unknown app "${n.appID}"`);
+}
+
+/**
+ * Counts diagnostics by level.
+ * @param {Diagnostic[]} diags - The diagnostics.
+ * @returns {{errors: number, warnings: number}} The counts.
+ */
+export function summarize(diags) {
+  return {
+    errors: diags.filter(d => d.level === 'error').length,
+    warnings: diags.filter(d => d.level === 'warning').length
+  };
+}
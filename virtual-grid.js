@@ -0,0 +1,151 @@
+// Windowed renderer for long card lists.
+// Only the cards in (or near) the viewport are mounted; spacers above and
+// below stand in for the rest. Cards share one measured row height.
+
+/**
+ * Creates a virtual grid inside a container that scrolls with the page.
+ * @param {HTMLElement} el - The container.
+ * @param {object} options
+ * @param {Function} options.renderItem - Builds the element for an item.
+ * @param {number} [options.buffer=8] - Extra rows mounted above and below the viewport.
+ * @returns {{setItems: Function, append: Function, update: Function, clear: Function, size: Function}} The grid.
+ */
+export function createVirtualGrid(el, { renderItem, buffer = 8 }) {
+  let items = [];
+  let rowH = 0; // Card height plus its bottom margin
+  let start = 0;
+  let end = 0;
+  let nodes = new Map(); // Item index -> mounted element
+  let ticking = false;
+
+  const top = document.createElement('div');
+  const bottom = document.createElement('div');
+  top.className = bottom.className = 'virtual-spacer';
+  top.setAttribute('aria-hidden', 'true');
+  bottom.setAttribute('aria-hidden', 'true');
+
+  /**
+   * Puts the spacers in place, dropping anything else (e.g. skeletons).
+   */
+  function reset() {
+    el.classList.add('virtual');
+    el.innerHTML = '';
+    el.appendChild(top);
+    el.appendChild(bottom);
+    nodes = new Map();
+    start = end = 0;
+  }
+
+  /**
+   * Measures the row height from a rendered card.
+   */
+  function measure() {
+    if (rowH || !items.length) return;
+    const probe = renderItem(items[0]);
+    probe.style.visibility = 'hidden';
+    el.insertBefore(probe, bottom);
+    const style = getComputedStyle(probe);
+    rowH = probe.getBoundingClientRect().height + (parseFloat(style.marginTop) || 0) + (parseFloat(style.marginBottom) || 0);
+    probe.remove();
+    if (!rowH) rowH = 114;
+  }
+
+  /**
+   * Mounts the cards for the visible range and sizes the spacers.
+   * @param {boolean} [force=false] - Rebuild even if the range is unchanged.
+   */
+  function update(force = false) {
+    if (!el.contains(top)) reset();
+    if (!items.length) {
+      nodes.forEach(n => n.remove());
+      nodes.clear();
+      top.style.height = bottom.style.height = '0px';
+      start = end = 0;
+      return;
+    }
+    measure();
+
+    const gridTop = el.getBoundingClientRect().top + window.scrollY;
+    const viewTop = window.scrollY - gridTop;
+    const s = Math.max(0, Math.floor(viewTop / rowH) - buffer);
+    const e = Math.min(items.length, Math.max(s, Math.ceil((viewTop + window.innerHeight) / rowH) + buffer));
+
+    top.style.height = `${s * rowH}px`;
+    bottom.style.height = `${(items.length - e) * rowH}px`;
+    if (!force && s === start && e === end) return;
+
+    const next = new Map();
+    const frag = document.createDocumentFragment();
+    for (let i = s; i < e; i++) {
+      const node = (!force && nodes.get(i)) || renderItem(items[i]);
+      next.set(i, node);
+      frag.appendChild(node);
+    }
+    nodes.forEach((n, i) => {
+      if (next.get(i) !== n) n.remove();
+    });
+    el.insertBefore(frag, bottom);
+    nodes = next;
+    start = s;
+    end = e;
+  }
+
+  /**
+   * Schedules an update on the next animation frame.
+   */
+  function onScroll() {
+    if (ticking) return;
+    ticking = true;
+    requestAnimationFrame(() => {
+      ticking = false;
+      update();
+    });
+  }
+
+  window.addEventListener('scroll', onScroll, { passive: true });
+  window.addEventListener('resize', () => {
+    rowH = 0;
+    update(true);
+  });
+
+  return {
+    /**
+     * Replaces all items.
+     * @param {Array} list - The new items.
+     */
+    setItems(list) {
+      items = list.slice();
+      reset();
+      update(true);
+    },
+
+    /**
+     * Adds items at the end, e.g. as another source arrives.
+     * @param {Array} list - The items to add.
+     */
+    append(list) {
+      if (!list.length) return;
+      if (!el.contains(top)) reset();
+      items = items.concat(list);
+      update();
+    },
+
+    update,
+
+    /**
+     * Removes all items.
+     */
+    clear() {
+      items = [];
+      reset();
+    },
+
+    /**
+     * Returns the number of items.
+     * @returns {number} The item count.
+     */
+    size() {
+      return items.length;
+    }
+  };
+}
@@ -0,0 +1,106 @@
+// Watched apps and update detection.
+// Each watched bundle ID keeps the newest version the user has seen.
+
+import { semverCompare, parseDateString } from './utils.js';
+
+// Constants
+const KEY = 'ripe_watched'; // Key for local storage
+
+/**
+ * Retrieves the watched apps from local storage.
+ * @returns {Object<string, {name: string, version: string, date: string}>} Entries keyed by bundle ID.
+ */
+export function getWatched() {
+  try {
+    return JSON.parse(localStorage.getItem(KEY)) || {};
+  } catch (_) {
+    return {};
+  }
+}
+
+/**
+ * Saves the watched apps to local storage.
+ * @param {object} map - Entries keyed by bundle ID.
+ */
+function setWatched(map) {
+  localStorage.setItem(KEY, JSON.stringify(map));
+}
+
+/**
+ * Tells whether an app is watched.
+ * @param {string} bundle - The bundle ID.
+ * @returns {boolean} True if watched.
+ */
+export function isWatched(bundle) {
+  return Object.prototype.hasOwnProperty.call(getWatched(), bundle);
+}
+
+/**
+ * Starts watching an app, remembering its newest version as seen.
+ * @param {object} app - The app object.
+ */
+export function watch(app) {
+  const map = getWatched();
+  const v = app.versions?.[0] || {};
+  map[app.bundleIdentifier] = { name: app.name || '', version: v.version || '', date: v.date || '' };
+  setWatched(map);
+}
+
+/**
+ * Stops watching an app.
+ * @param {string} bundle - The bundle ID.
+ */
+export function unwatch(bundle) {
+  const map = getWatched();
+  delete map[bundle];
+  setWatched(map);
+}
+
+/**
+ * Records a version as seen for a watched app. Older versions are ignored.
+ * @param {string} bundle - The bundle ID.
+ * @param {{version: string, date: string}} v - The version entry.
+ */
+export function markSeen(bundle, v) {
+  const map = getWatched();
+  const entry = map[bundle];
+  if (!entry || !v || !isNewer(v, entry)) return;
+  entry.version = v.version || '';
+  entry.date = v.date || '';
+  setWatched(map);
+}
+
+/**
+ * Compares a version entry against the last-seen one.
+ * Uses semverCompare, falling back to dates when the version strings tie or are missing.
+ * @param {{version: string, date: string}} v - The candidate version.
+ * @param {{version: string, date: string}} seen - The last-seen version.
+ * @returns {boolean} True if `v` is newer.
+ */
+export function isNewer(v, seen) {
+  if (v.version && seen.version) {
+    const cmp = semverCompare(v.version, seen.version);
+    if (cmp !== 0) return cmp > 0;
+  }
+  const dv = parseDateString(v.date);
+  const ds = parseDateString(seen.date);
+  if (dv && ds) return dv > ds;
+  return !!(dv && !ds && !seen.version);
+}
+
+/**
+ * Finds watched apps whose newest merged version is newer than the last-seen one.
+ * @param {Array} apps - Apps merged by bundle ID, versions newest first.
+ * @returns {Array<{app: object, from: string, to: string}>} The pending updates.
+ */
+export function findUpdates(apps) {
+  const watched = getWatched();
+  const out = [];
+  for (const app of apps) {
+    const seen = watched[app.bundleIdentifier];
+    const latest = app.versions?.[0];
+    if (!seen || !latest) continue;
+    if (isNewer(latest, seen)) out.push({ app, from: seen.version, to: latest.version });
+  }
+  return out;
+}